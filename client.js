@@ -2,8 +2,8 @@ const { KubeConfig, Client } = require('kubernetes-client')
 const Request = require('kubernetes-client/backends/request')
 
 // Request to the kubevirt subresource api
-const VMBackendRequest = (kubeclient, namespace, name, command) =>
-  kubeclient.apis['kubevirt.io'].v1.namespace(namespace).virtualmachines(name).get().then(r => {
+const VMBackendRequest = (kubeclient, version, namespace, name, command) =>
+  kubeclient.apis['kubevirt.io'][version].namespace(namespace).virtualmachines(name).get().then(r => {
     const vm = r.body
     const apiStorageVersion = vm.metadata.annotations["kubevirt.io/storage-observed-api-version"]
     const vmSubresourceCommandURL = `/apis/subresources.kubevirt.io/${apiStorageVersion}/namespaces/${namespace}/virtualmachines/${name}/${command}`
@@ -17,40 +17,122 @@ const VMBackendRequest = (kubeclient, namespace, name, command) =>
     return kubeclient.backend.http(options)
   })
 
+// The CRDs the client cannot work without, keyed as in crds, with what provides them
+const requiredCRDs = {
+  virtualServer: {name: 'virtualservers.virtualservers.coreweave.com', kind: 'VirtualServer', from: 'the CoreWeave Virtual Server operator'},
+  definition: {name: 'definitions.virtualservers.coreweave.com', kind: 'Definition', from: 'the CoreWeave Virtual Server operator'},
+  virtualMachine: {name: 'virtualmachines.kubevirt.io', kind: 'VirtualMachine', from: 'KubeVirt'}
+}
+
+// The apiextensions.k8s.io versions the client can read CRDs with, newest first
+const apiextensionsVersions = ['v1', 'v1beta1']
+
+// The version of a CRD to use: preferred when the CRD serves it, else the version it stores objects as
+const servedVersion = (crd, preferred) => {
+  const versions = crd.spec.versions || [{name: crd.spec.version, served: true, storage: true}]
+  const served = versions.filter(v => v.served !== false)
+  return (served.filter(v => v.name === preferred)[0] || served.filter(v => v.storage)[0] || served[0] || {}).name
+}
+
 // A kubernetes client for creating and managing VirtualServers
 class VSClient {
   // Create a new VSClient. 
   // kubeconfig is a path to a local kubeconfig file. 
   // kubeconfig may be null, in which case the environment variable KUBECONFIG will be used, ~/.kube/config will be used, and lastly an in cluster service account will be used
-  constructor(kubeconfig) {
+  // context may name a context of the kubeconfig to use instead of the current context
+  // namespace may be set to override the namespace of the context as the default namespace
+  constructor(kubeconfig, {context, namespace} = {}) {
     this.initialized = false
+    this.versions = {}
     const config = new KubeConfig()
     if(!!kubeconfig) {
       config.loadFromFile(kubeconfig)
     } else {
       config.loadFromDefault()
     }
-    this.defaultNamespace = (config.contexts.filter(ctx => ctx.name === config.currentContext)[0] || {}).namespace
+    if(!!context) {
+      if(!config.getContextObject(context)) {
+        throw new Error(`Context ${context} not found in kubeconfig`)
+      }
+      config.setCurrentContext(context)
+    }
+    this.context = config.currentContext
+    this.defaultNamespace = namespace || (config.contexts.filter(ctx => ctx.name === config.currentContext)[0] || {}).namespace
     const backend = new Request({kubeconfig: config})
+    // The bundled 1.13 spec only serves the core/v1 and storage.k8s.io/v1 paths, which are unchanged since, and needs no
+    // request to the cluster. Every other API is reached at the versions init finds through discovery. See the README
     this.kubeclient = new Client({version: '1.13', backend})
     const initCheck = () => this.initialized === true ? Promise.resolve() : Promise.reject(new Error("Client not yet initialized. Call init before using the client."))
-    for(let k in this.virtualServer) {
-      const f = this.virtualServer[k]
-      if(typeof f === 'function') {
-        this.virtualServer[k] = (...args) => initCheck().then(() => f(...args))
+    for(const api of [this.virtualServer, this.definition]) {
+      for(let k in api) {
+        const f = api[k]
+        if(typeof f === 'function') {
+          api[k] = (...args) => initCheck().then(() => f(...args))
+        }
       }
     }
   }
-  // init will initialize the client for use. init must be run before any VirtualServer function is called
+  // init will initialize the client for use. init must be run before any VirtualServer function is called.
+  // The served API versions are found through API discovery. init rejects with an error naming every required CRD the cluster is missing
   init = async() => {
-    const virtualServerCRD = await this.kubeclient.apis['apiextensions.k8s.io'].v1beta1.customresourcedefinitions("virtualservers.virtualservers.coreweave.com").get().then(r => r.body)
-    const definitionCRD = await this.kubeclient.apis['apiextensions.k8s.io'].v1beta1.customresourcedefinitions("definitions.virtualservers.coreweave.com").get().then(r => r.body)
-    const vmCRD = await this.kubeclient.apis['apiextensions.k8s.io'].v1beta1.customresourcedefinitions("virtualmachines.kubevirt.io").get().then(r => r.body)
-    this.kubeclient.addCustomResourceDefinition(virtualServerCRD)
-    this.kubeclient.addCustomResourceDefinition(definitionCRD)
-    this.kubeclient.addCustomResourceDefinition(vmCRD)
+    const groups = await this.kubeclient.backend.http({method: 'GET', pathname: '/apis'}).then(r => r.body.groups || [])
+    // The versions served of each API group, preferred version first
+    this.apiGroups = groups.reduce((acc, g) => ({
+      ...acc,
+      [g.name]: [g.preferredVersion.version, ...g.versions.map(v => v.version).filter(v => v !== g.preferredVersion.version)]
+    }), {})
+    this.versions = {apiextensions: (this.apiGroups['apiextensions.k8s.io'] || []).filter(v => apiextensionsVersions.includes(v))[0]}
+    if(!this.versions.apiextensions) {
+      throw new Error(`The cluster does not serve apiextensions.k8s.io ${apiextensionsVersions.join(' or ')}, so its CRDs cannot be read.`)
+    }
+    this.crds = {}
+    const keys = Object.keys(requiredCRDs)
+    await Promise.all(keys.map(key => this.getCRD(requiredCRDs[key].name).then(crd => this.crds[key] = crd)))
+    const missing = keys.filter(key => !this.crds[key])
+    if(missing.length > 0) {
+      const from = missing.map(key => requiredCRDs[key].from).filter((f, i, all) => all.indexOf(f) === i)
+      const err = new Error(`The cluster is missing the CRDs of ${missing.map(key => `${requiredCRDs[key].kind} (${requiredCRDs[key].name})`).join(', ')}. Install ${from.join(' and ')} first.`)
+      err.missingCRDs = missing.map(key => requiredCRDs[key].name)
+      throw err
+    }
+    keys.forEach(key => this.kubeclient.addCustomResourceDefinition(this.crds[key]))
+    this.versions.virtualServer = servedVersion(this.crds.virtualServer, this.preferredVersion('virtualservers.coreweave.com'))
+    this.versions.definition = servedVersion(this.crds.definition, this.preferredVersion('virtualservers.coreweave.com'))
+    this.versions.kubevirt = servedVersion(this.crds.virtualMachine, this.preferredVersion('kubevirt.io'))
     this.initialized = true
   }
+
+  // The version API discovery prefers for group
+  preferredVersion = (group) => (this.apiGroups[group] || [])[0]
+
+  // Get a CRD by name, with the apiextensions version found by init. Resolves to null when the cluster does not have it
+  getCRD = (name) => this.kubeclient.backend.http({
+    method: 'GET',
+    pathname: `/apis/apiextensions.k8s.io/${this.versions.apiextensions}/customresourcedefinitions/${name}`
+  })
+  .then(r => r.body)
+  .catch(err => err.statusCode === 404 ? null : Promise.reject(err))
+
+  // Look up a CRD the tool can do without, once, and add it to the client. Resolves to the CRD, or null when the cluster does not have it
+  optionalCRD = async (key, name) => {
+    if(this.crds[key] === undefined) {
+      this.crds[key] = await this.getCRD(name)
+      if(!!this.crds[key]) {
+        this.kubeclient.addCustomResourceDefinition(this.crds[key])
+      }
+    }
+    return this.crds[key]
+  }
+
+  // The API of VirtualServers and Definitions at version, by default the version found by init
+  vsAPI = (version = this.versions.virtualServer) => this.kubeclient.apis['virtualservers.coreweave.com'][version]
+
+  // The version to send manifest as: its own apiVersion when the CRD serves it, else the version found by init
+  manifestVersion = (manifest) => {
+    const [group, version] = String(manifest.apiVersion || '').split('/')
+    const served = (this.crds.virtualServer.spec.versions || [{name: this.crds.virtualServer.spec.version}]).map(v => v.name)
+    return group === 'virtualservers.coreweave.com' && served.includes(version) ? version : this.versions.virtualServer
+  }
   
   // functions to interface with VirtualServers
   virtualServer = {
@@ -59,41 +141,51 @@ class VSClient {
       if(!namespace || !name) {
         return Promise.reject(new Error("Virtual Server namespace and name are required"))
       }
-      return VMBackendRequest(this.kubeclient, namespace, name, "stop")
+      return VMBackendRequest(this.kubeclient, this.versions.kubevirt, namespace, name, "stop")
     },
     // Start a stopped VirtualServer
     start: ({namespace, name}) => {
       if(!namespace || !name) {
         return Promise.reject(new Error("Virtual Server namespace and name are required"))
       }
-      return VMBackendRequest(this.kubeclient, namespace, name, "start")
+      return VMBackendRequest(this.kubeclient, this.versions.kubevirt, namespace, name, "start")
+    },
+    // Restart a running VirtualServer
+    restart: ({namespace, name}) => {
+      if(!namespace || !name) {
+        return Promise.reject(new Error("Virtual Server namespace and name are required"))
+      }
+      return VMBackendRequest(this.kubeclient, this.versions.kubevirt, namespace, name, "restart")
     },
     // Get a VirtualServer deployed
     get: ({namespace, name}) => {
       if(!namespace || !name) {
         return Promise.reject(new Error("Virtual Server namespace and name are required"))
       }
-      return this.kubeclient.apis['virtualservers.coreweave.com'].v1alpha1.namespaces(namespace).virtualservers(name).get()
+      return this.vsAPI().namespaces(namespace).virtualservers(name).get()
     },
-    list: ({namespace}) => {
+    list: ({namespace, allNamespaces = false} = {}) => {
+      if(allNamespaces) {
+        return this.vsAPI().virtualservers.get()
+      }
       if(!namespace) {
         return Promise.reject(new Error("Namespace is required"))
       }
-      return this.kubeclient.apis['virtualservers.coreweave.com'].v1alpha1.namespaces(namespace).virtualservers().get()
+      return this.vsAPI().namespaces(namespace).virtualservers().get()
     },
     // Create a new VirtualServer
     create: (manifest) => {
       if(!manifest.metadata.namespace) {
         return Promise.reject(new Error("VirtualServer metadata.namespace is required"))
       }
-      return this.kubeclient.apis['virtualservers.coreweave.com'].v1alpha1.namespaces(manifest.metadata.namespace).virtualservers.post({body: manifest})
+      return this.vsAPI(this.manifestVersion(manifest)).namespaces(manifest.metadata.namespace).virtualservers.post({body: manifest})
     },
     // Delete a VirtualServer
     delete: ({namespace, name}) => {
       if(!namespace || !name) {
         return Promise.reject(new Error("Virtual Server namespace and name are required"))
       }
-      return this.kubeclient.apis['virtualservers.coreweave.com'].v1alpha1.namespaces(namespace).virtualservers(name).delete()
+      return this.vsAPI().namespaces(namespace).virtualservers(name).delete()
     },
     // Update a new VirtualServer
     update: async (manifest) => {
@@ -103,30 +195,115 @@ class VSClient {
       if(!manifest.metadata.resourceVersion) {
         await this.virtualServer.get({namespace: manifest.metadata.namespace, name: manifest.metadata.name}).then(o => manifest.metadata.resourceVersion = o.body.metadata.resourceVersion)
       }
-      return this.kubeclient.apis['virtualservers.coreweave.com'].v1alpha1.namespaces(manifest.metadata.namespace).virtualservers(manifest.metadata.name).put({body: manifest})
+      return this.vsAPI(this.manifestVersion(manifest)).namespaces(manifest.metadata.namespace).virtualservers(manifest.metadata.name).put({body: manifest})
+    },
+    // Watch the VirtualServers of a namespace, or of every namespace, until stopped. Resolves to a function that stops watching.
+    // onSync is called with every VirtualServer each time the watch connects, and onEvent with each ADDED, MODIFIED or DELETED event after that.
+    // The API server closes watches after a while and expires their resourceVersion, so the watch reconnects from a fresh list.
+    // onError is called when listing or watching fails, and the watch then reconnects after retryDelay milliseconds
+    watchList: async({namespace, allNamespaces = false, onSync, onEvent, onError = () => {}, retryDelay = 5000}) => {
+      if(!namespace && !allNamespaces) {
+        return Promise.reject(new Error("Namespace is required"))
+      }
+      const api = this.vsAPI()
+      let stopped = false
+      let stream = null
+      let timer = null
+      const retry = err => {
+        if(stopped) return
+        onError(err)
+        timer = setTimeout(() => connect().catch(retry), retryDelay)
+      }
+      const connect = async () => {
+        const list = await this.virtualServer.list({namespace, allNamespaces}).then(r => r.body)
+        if(stopped) return
+        onSync(list.items)
+        const watch = allNamespaces ? api.watch.virtualservers : api.watch.namespaces(namespace).virtualservers
+        stream = await watch.getObjectStream({qs: {resourceVersion: list.metadata.resourceVersion}})
+        if(stopped) return stream.destroy()
+        let closed = false
+        const reconnect = err => {
+          if(closed || stopped) return
+          closed = true
+          if(!!err) return retry(err)
+          connect().catch(retry)
+        }
+        stream.on('data', e => {
+          if(e.type === 'ERROR') {
+            // An expired resourceVersion is recovered from by listing again
+            reconnect(e.object.code === 410 ? null : new Error(`Watch of VirtualServers failed. ${e.object.message}`))
+            return stream.destroy()
+          }
+          onEvent(e)
+        })
+        stream.on('error', err => reconnect(err))
+        stream.on('end', () => reconnect())
+        stream.on('close', () => reconnect())
+      }
+      connect().catch(retry)
+      return () => {
+        stopped = true
+        clearTimeout(timer)
+        if(!!stream) stream.destroy()
+      }
     },
     // Ready will resolve when the VirtualServer is ready for commands (determined by the status field of the VirtualMachineReady Condition)
-    ready: async({namespace, name}) => {
+    ready: ({namespace, name, timeout}) => this.virtualServer.wait({namespace, name, timeout}),
+    // Wait will resolve once the VirtualServer has a condition of the given type and status, or once it is gone when deleted is set.
+    // It rejects when the watch fails, when the VirtualServer is deleted while waiting for a condition, or after timeout milliseconds if timeout is set.
+    // onEvent is called with the VirtualServer each time the watch sees a change
+    wait: async({namespace, name, condition = 'VirtualMachineReady', status = 'True', deleted = false, timeout = 0, onEvent = () => {}}) => {
       if(!namespace || !name) {
         return Promise.reject(new Error("Virtual Server namespace and name are required"))
       }
-      const stream = await this.kubeclient.apis['virtualservers.coreweave.com'].v1alpha1.watch.namespaces(namespace).virtualservers(name).getObjectStream()
+      const matches = vs => ((vs.status || {}).conditions || [])
+        .some(c => c.type === condition && String(c.status).toLowerCase() === String(status).toLowerCase())
       return new Promise((resolve, reject) => {
-        stream.on('data', async e => {
-          if(e.type === 'DELETED') {
-            stream.end()
-            return reject(new Error(`VirtualServer ${namespace}/${name} was deleted`))
+        let stream = null
+        let done = false
+        const finish = (err, result) => {
+          if(done) return
+          done = true
+          clearTimeout(timer)
+          if(!!stream) stream.destroy()
+          return err ? reject(err) : resolve(result)
+        }
+        const timer = timeout > 0 ? setTimeout(() => finish(new Error(`Timed out waiting for VirtualServer ${namespace}/${name}`)), timeout) : null
+        // The API server closes watches after a while, so reopen the watch until finished
+        const watch = async () => {
+          if(deleted) {
+            const gone = await this.virtualServer.get({namespace, name}).then(() => false, err => err.statusCode === 404 ? true : Promise.reject(err))
+            if(gone) return finish(null, 'Deleted')
           }
-          else {
-            if(!!e.object.status) {
-              const readyCondition = e.object.status.conditions.filter(c => c.type === 'VirtualMachineReady')[0] || {}
-              if(readyCondition.status === 'True') {
-                stream.end()
-                return resolve('Ready')
-              }
-            }
+          if(done) return
+          stream = await this.vsAPI().watch.namespaces(namespace).virtualservers(name).getObjectStream()
+          // Finished while the watch was opening
+          if(done) return stream.destroy()
+          let closed = false
+          const reopen = () => {
+            if(closed) return
+            closed = true
+            if(!done) watch().catch(finish)
           }
-        })
+          stream.on('data', e => {
+            if(e.type === 'ERROR') {
+              // An expired resourceVersion is recovered from by reopening the watch
+              if(e.object.code === 410) return stream.destroy()
+              return finish(new Error(`Watch of VirtualServer ${namespace}/${name} failed. ${e.object.message}`))
+            }
+            if(e.type === 'DELETED') {
+              return deleted ? finish(null, 'Deleted') : finish(new Error(`VirtualServer ${namespace}/${name} was deleted`))
+            }
+            onEvent(e.object)
+            if(!deleted && matches(e.object)) {
+              finish(null, condition === 'VirtualMachineReady' ? 'Ready' : condition)
+            }
+          })
+          stream.on('error', err => finish(err))
+          stream.on('end', reopen)
+          stream.on('close', reopen)
+        }
+        watch().catch(finish)
       })
     }
   }
@@ -140,13 +317,13 @@ class VSClient {
       if(!namespace || !name) {
         return Promise.reject(new Error("Virtual Server namespace and name are required"))
       }
-      return this.kubeclient.apis['virtualservers.coreweave.com'].v1alpha1.namespaces(namespace).definitions(name).get()
+      return this.vsAPI(this.versions.definition).namespaces(namespace).definitions(name).get()
     },
     list: ({namespace}) => {
       if(!namespace) {
         return Promise.reject(new Error("Namespace is required"))
       }
-      return this.kubeclient.apis['virtualservers.coreweave.com'].v1alpha1.namespaces(namespace).definitions().get()
+      return this.vsAPI(this.versions.definition).namespaces(namespace).definitions().get()
     }
   }
 
@@ -156,15 +333,140 @@ class VSClient {
         return Promise.reject(new Error("Namespace is required"))
       }
       return this.kubeclient.api.v1.namespaces(namespace).services.get()
+    },
+    create: (manifest) => {
+      if(!manifest.metadata.namespace) {
+        return Promise.reject(new Error("Service metadata.namespace is required"))
+      }
+      return this.kubeclient.api.v1.namespaces(manifest.metadata.namespace).services.post({body: manifest})
+    },
+    delete: ({namespace, name}) => {
+      if(!namespace || !name) {
+        return Promise.reject(new Error("Service namespace and name are required"))
+      }
+      return this.kubeclient.api.v1.namespaces(namespace).services(name).delete()
     }
   }
 
   pvc = {
-    list: ({namespace = this.defaultNamespace} = {}) => {
+    get: ({namespace = this.defaultNamespace, name} = {}) => {
+      if(!namespace || !name) {
+        return Promise.reject(new Error("PVC namespace and name are required"))
+      }
+      return this.kubeclient.api.v1.namespaces(namespace).persistentvolumeclaims(name).get()
+    },
+    list: ({namespace = this.defaultNamespace, allNamespaces = false} = {}) => {
+      if(allNamespaces) {
+        return this.kubeclient.api.v1.persistentvolumeclaims.get()
+      }
       if(!namespace) {
         return Promise.reject(new Error("Namespace is required"))
       }
       return this.kubeclient.api.v1.namespaces(namespace).persistentvolumeclaims.get()
+    },
+    create: (manifest) => {
+      if(!manifest.metadata.namespace) {
+        return Promise.reject(new Error("PVC metadata.namespace is required"))
+      }
+      return this.kubeclient.api.v1.namespaces(manifest.metadata.namespace).persistentvolumeclaims.post({body: manifest})
+    },
+    delete: ({namespace, name}) => {
+      if(!namespace || !name) {
+        return Promise.reject(new Error("PVC namespace and name are required"))
+      }
+      return this.kubeclient.api.v1.namespaces(namespace).persistentvolumeclaims(name).delete()
+    }
+  }
+
+  secret = {
+    create: (manifest) => {
+      if(!manifest.metadata.namespace) {
+        return Promise.reject(new Error("Secret metadata.namespace is required"))
+      }
+      return this.kubeclient.api.v1.namespaces(manifest.metadata.namespace).secrets.post({body: manifest})
+    },
+    delete: ({namespace, name}) => {
+      if(!namespace || !name) {
+        return Promise.reject(new Error("Secret namespace and name are required"))
+      }
+      return this.kubeclient.api.v1.namespaces(namespace).secrets(name).delete()
+    }
+  }
+
+  storageClass = {
+    list: () => this.kubeclient.apis['storage.k8s.io'].v1.storageclasses.get()
+  }
+
+  // functions to interface with VolumeSnapshots, where the cluster supports them
+  volumeSnapshot = {
+    // Available resolves to whether the cluster has the VolumeSnapshot CRD
+    available: () => this.optionalCRD('volumeSnapshot', "volumesnapshots.snapshot.storage.k8s.io").then(crd => !!crd),
+    get: ({namespace, name}) => {
+      if(!namespace || !name) {
+        return Promise.reject(new Error("VolumeSnapshot namespace and name are required"))
+      }
+      return this.kubeclient.apis['snapshot.storage.k8s.io'][this.volumeSnapshotVersion()].namespaces(namespace).volumesnapshots(name).get()
+    },
+    create: (manifest) => {
+      if(!manifest.metadata.namespace) {
+        return Promise.reject(new Error("VolumeSnapshot metadata.namespace is required"))
+      }
+      return this.kubeclient.apis['snapshot.storage.k8s.io'][this.volumeSnapshotVersion()].namespaces(manifest.metadata.namespace).volumesnapshots.post({body: manifest})
+    },
+    delete: ({namespace, name}) => {
+      if(!namespace || !name) {
+        return Promise.reject(new Error("VolumeSnapshot namespace and name are required"))
+      }
+      return this.kubeclient.apis['snapshot.storage.k8s.io'][this.volumeSnapshotVersion()].namespaces(namespace).volumesnapshots(name).delete()
+    }
+  }
+
+  // The version VolumeSnapshots are stored as. available must have resolved to true first
+  volumeSnapshotVersion = () => servedVersion(this.crds.volumeSnapshot, this.preferredVersion('snapshot.storage.k8s.io'))
+
+  // The kubevirt VirtualMachine backing a VirtualServer, named after it
+  virtualMachine = {
+    get: ({namespace, name}) => {
+      if(!namespace || !name) {
+        return Promise.reject(new Error("VirtualMachine namespace and name are required"))
+      }
+      return this.kubeclient.apis['kubevirt.io'][this.versions.kubevirt].namespaces(namespace).virtualmachines(name).get()
+    }
+  }
+
+  // The kubevirt VirtualMachineInstance of a running VirtualMachine, named after it. get rejects with statusCode 404 when it is not running
+  virtualMachineInstance = {
+    get: async ({namespace, name}) => {
+      if(!namespace || !name) {
+        return Promise.reject(new Error("VirtualMachineInstance namespace and name are required"))
+      }
+      if(!await this.optionalCRD('virtualMachineInstance', "virtualmachineinstances.kubevirt.io")) {
+        return Promise.reject(Object.assign(new Error("VirtualMachineInstances are not installed"), {statusCode: 404}))
+      }
+      return this.kubeclient.apis['kubevirt.io'][this.versions.kubevirt].namespaces(namespace).virtualmachineinstances(name).get()
+    }
+  }
+
+  // CDI DataVolumes, which import the disks of VirtualServers. get rejects with statusCode 404 when the cluster has no DataVolumes
+  dataVolume = {
+    get: async ({namespace, name}) => {
+      if(!namespace || !name) {
+        return Promise.reject(new Error("DataVolume namespace and name are required"))
+      }
+      const crd = await this.optionalCRD('dataVolume', "datavolumes.cdi.kubevirt.io")
+      if(!crd) {
+        return Promise.reject(Object.assign(new Error("DataVolumes are not installed"), {statusCode: 404}))
+      }
+      return this.kubeclient.apis['cdi.kubevirt.io'][servedVersion(crd, this.preferredVersion('cdi.kubevirt.io'))].namespaces(namespace).datavolumes(name).get()
+    }
+  }
+
+  event = {
+    list: ({namespace = this.defaultNamespace} = {}) => {
+      if(!namespace) {
+        return Promise.reject(new Error("Namespace is required"))
+      }
+      return this.kubeclient.api.v1.namespaces(namespace).events.get()
     }
   }
 }
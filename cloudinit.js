@@ -0,0 +1,68 @@
+// Cloud-init user-data for the first boot of a Virtual Server.
+// User-data is either a cloud-config document, starting with #cloud-config, or a script, starting with #!
+const fs = require('fs')
+const yaml = require('js-yaml')
+
+const header = '#cloud-config'
+
+// Check user-data. Returns a list of error messages, empty when it is valid
+const validateCloudInit = (userData) => {
+  if(typeof userData !== 'string') {
+    return ['must be a string']
+  }
+  if(userData.trim() === '') {
+    return ['must not be empty']
+  }
+  if(userData.startsWith('#!')) {
+    return []
+  }
+  if(!userData.startsWith(header)) {
+    return [`must start with ${header} or #!`]
+  }
+  let config = null
+  try {
+    config = yaml.safeLoad(userData)
+  } catch(err) {
+    return [`is not valid YAML. ${!!err.mark ? `${err.reason} at line ${err.mark.line + 1}` : err.message}`]
+  }
+  if(!!config && (typeof config !== 'object' || Array.isArray(config))) {
+    return ['must be a YAML mapping']
+  }
+  return ['packages', 'runcmd', 'write_files']
+  .filter(k => !!config && config[k] !== undefined && !Array.isArray(config[k]))
+  .map(k => `${k} must be a list`)
+}
+
+// Read a user-data file. A YAML mapping without the #cloud-config header is taken as cloud-config
+const readCloudInit = (file) => {
+  const userData = fs.readFileSync(file, 'utf8')
+  if(userData.startsWith('#')) {
+    return userData
+  }
+  const config = yaml.safeLoad(userData)
+  return (!!config && typeof config === 'object' && !Array.isArray(config)) ? `${header}\n${userData}` : userData
+}
+
+// Build cloud-config user-data from a user-data file and inline packages, commands and files.
+// Files are given as {path, content}. Returns null when there is nothing to configure
+const buildCloudInit = ({userData, packages = [], runcmd = [], writeFiles = []} = {}) => {
+  if(!packages.length && !runcmd.length && !writeFiles.length) {
+    return userData || null
+  }
+  if(!!userData && userData.startsWith('#!')) {
+    throw new Error('Packages, commands and files cannot be added to a user-data script.')
+  }
+  const config = (!!userData && yaml.safeLoad(userData)) || {}
+  return `${header}\n${yaml.safeDump({
+    ...config,
+    ...(packages.length > 0 ? {packages: [...(config.packages || []), ...packages]} : {}),
+    ...(runcmd.length > 0 ? {runcmd: [...(config.runcmd || []), ...runcmd]} : {}),
+    ...(writeFiles.length > 0 ? {write_files: [...(config.write_files || []), ...writeFiles]} : {})
+  }, {lineWidth: -1})}`
+}
+
+module.exports = {
+  buildCloudInit,
+  readCloudInit,
+  validateCloudInit
+}
@@ -0,0 +1,108 @@
+// Tool wide settings, read from ~/.config/vs-tool/config.yaml
+// Settings at the top level of the file apply to every context. Settings under contexts.<name> override them for that kubeconfig context.
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const yaml = require('js-yaml')
+const { k8sValidateQuantity, parseDuration } = require('./util.js')
+
+const configPath = () => path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'vs-tool', 'config.yaml')
+
+// Templates are kept per user, apart from the cache in the temporary directory
+const templatesPath = () => path.join(process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share'), 'vs-tool', 'templates')
+
+const defaults = {
+  imageNamespace: 'vd-images',
+  definitionNamespace: 'virtual-server',
+  regions: ['ORD1', 'EWR1'],
+  pricingURL: 'https://www.coreweave.com/cloud/api/v1/metadata/instances',
+  cacheTTL: '10m',
+  memory: '1Gi',
+  swap: '1Gi',
+  rootSize: '40Gi'
+}
+
+const validName = v => /^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/.test(v) || 'Must be a valid namespace name.'
+const validQuantity = v => k8sValidateQuantity(v) || 'Must be a valid quantity.'
+
+// Validation of each setting. Returns true or an error message
+const validators = {
+  imageNamespace: validName,
+  definitionNamespace: validName,
+  regions: v => (Array.isArray(v) && v.length > 0 && v.every(r => typeof r === 'string' && r !== '')) || 'Must be a list of regions.',
+  pricingURL: v => /^https?:\/\//.test(v) || 'Must be an http or https URL.',
+  cacheTTL: v => {
+    try {
+      parseDuration(v)
+      return true
+    } catch(err) {
+      return err.message
+    }
+  },
+  memory: validQuantity,
+  swap: validQuantity,
+  rootSize: validQuantity
+}
+
+// Read the config file. Returns an empty config when the file does not exist
+const readConfig = (file = configPath()) => {
+  if(!fs.existsSync(file)) {
+    return {}
+  }
+  return yaml.safeLoad(fs.readFileSync(file, 'utf8')) || {}
+}
+
+const writeConfig = (config, file = configPath()) => {
+  fs.mkdirSync(path.dirname(file), {recursive: true})
+  fs.writeFileSync(file, yaml.safeDump(config))
+}
+
+// Throw naming the first setting of settings that the validators reject. where tells where the settings are in the file
+const checkSettings = (settings, where) => Object.keys(settings).filter(key => !!validators[key]).forEach(key => {
+  const valid = validators[key](settings[key])
+  if(valid !== true) {
+    throw new Error(`Invalid value for ${where}${key}. ${valid}`)
+  }
+})
+
+// The settings in effect for a context: the defaults, overridden by the top level of the file, overridden by the context.
+// Throws when a setting in effect is invalid
+const resolveConfig = (config, context) => {
+  const {contexts = {}, ...global} = config
+  const contextSettings = (!!context && contexts[context]) || {}
+  checkSettings(global, '')
+  checkSettings(contextSettings, `contexts.${context}.`)
+  return {...defaults, ...global, ...contextSettings}
+}
+
+// Parse a setting given on the command line. Lists are comma separated
+const parseSetting = (key, value) => Array.isArray(defaults[key])
+  ? String(value).split(',').map(v => v.trim()).filter(v => v !== '')
+  : String(value)
+
+// Set a setting in config, for context when it is given. Throws on unknown keys and invalid values
+const setSetting = (config, key, value, context) => {
+  if(!validators[key]) {
+    throw new Error(`Unknown setting ${key}. Settings are ${Object.keys(defaults).join(', ')}.`)
+  }
+  const valid = validators[key](value)
+  if(valid !== true) {
+    throw new Error(`Invalid value for ${key}. ${valid}`)
+  }
+  if(!!context) {
+    const contexts = config.contexts || {}
+    return {...config, contexts: {...contexts, [context]: {...(contexts[context] || {}), [key]: value}}}
+  }
+  return {...config, [key]: value}
+}
+
+module.exports = {
+  configPath,
+  defaults,
+  parseSetting,
+  readConfig,
+  resolveConfig,
+  setSetting,
+  templatesPath,
+  writeConfig
+}
@@ -0,0 +1,106 @@
+// User credentials of a Virtual Server.
+// A user may have a password, an SSH public key, or both. Instead of inline values, the credentials may be kept in a Secret
+// named after the Virtual Server and referenced from the user, when the VirtualServer CRD accepts it, for example
+//   users:
+//     - username: alice
+//       passwordSecretKeyRef:
+//         name: my-vs-credentials
+//         key: alice-password
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { newSecretManifest } = require('./util.js')
+
+const sshKeyPattern = /^(ssh-(rsa|dss|ed25519)|ecdsa-sha2-nistp(256|384|521)|sk-(ssh-ed25519|ecdsa-sha2-nistp256)@openssh\.com) [A-Za-z0-9+\/=]+( .*)?$/
+
+// The public keys in ~/.ssh
+const sshKeyFiles = () => {
+  const dir = path.join(os.homedir(), '.ssh')
+  try {
+    return fs.readdirSync(dir).filter(f => f.endsWith('.pub')).map(f => path.join(dir, f))
+  } catch(err) {
+    return []
+  }
+}
+
+// Read an SSH public key given as the key itself or as the path of a key file. Throws when it is not a public key
+const readSSHKey = (keyOrPath) => {
+  const value = String(keyOrPath).trim()
+  let key = value
+  if(!sshKeyPattern.test(value)) {
+    const file = value.replace(/^~(?=$|\/)/, os.homedir())
+    if(!fs.existsSync(file)) {
+      throw new Error(`${value} is neither an SSH public key nor a key file.`)
+    }
+    key = fs.readFileSync(file, 'utf8').trim()
+  }
+  if(!sshKeyPattern.test(key)) {
+    throw new Error(`${value} is not an SSH public key.`)
+  }
+  return key
+}
+
+// Whether a user has a credential, inline or in a Secret
+const hasCredentials = (user) => !!user.password || !!user.sshpublickey || !!user.passwordSecretKeyRef || !!user.sshpublickeySecretKeyRef
+
+// A copy of a manifest with the inline passwords of its users removed. Templates are saved this way and passwords are prompted for when they are used
+const withoutPasswords = (manifest) => {
+  if(!manifest.spec || !Array.isArray(manifest.spec.users)) {
+    return manifest
+  }
+  return {
+    ...manifest,
+    spec: {...manifest.spec, users: manifest.spec.users.map(({password, ...user}) => user)}
+  }
+}
+
+const credentialsSecretName = (vsName) => `${vsName}-credentials`
+
+const secretKeyRefs = ['passwordSecretKeyRef', 'sshpublickeySecretKeyRef']
+
+// Move the inline credentials of the users of a Virtual Server into a Secret.
+// Returns the Virtual Server referencing the Secret, and the Secret, or null when no user has inline credentials
+const splitCredentials = (vs) => {
+  const name = credentialsSecretName(vs.metadata.name)
+  const stringData = {}
+  const users = (vs.spec.users || []).map(({password, sshpublickey, ...user}) => {
+    if(!!password) {
+      stringData[`${user.username}-password`] = password
+      user.passwordSecretKeyRef = {name, key: `${user.username}-password`}
+    }
+    if(!!sshpublickey) {
+      stringData[`${user.username}-sshpublickey`] = sshpublickey
+      user.sshpublickeySecretKeyRef = {name, key: `${user.username}-sshpublickey`}
+    }
+    return user
+  })
+  if(Object.keys(stringData).length === 0) {
+    return {vs, secret: null}
+  }
+  return {
+    vs: {...vs, spec: {...vs.spec, users}},
+    secret: newSecretManifest({name, namespace: vs.metadata.namespace, stringData})
+  }
+}
+
+// The credentials Secret of vs, and the references of its users to it, named after vs again once it is renamed
+const renameCredentials = (vs, secret) => {
+  const name = credentialsSecretName(vs.metadata.name)
+  const users = (vs.spec.users || []).map(user => secretKeyRefs.reduce((acc, ref) => (!!acc[ref] && acc[ref].name === secret.metadata.name)
+    ? {...acc, [ref]: {...acc[ref], name}}
+    : acc, user))
+  return {
+    vs: {...vs, spec: {...vs.spec, users}},
+    secret: {...secret, metadata: {...secret.metadata, name, namespace: vs.metadata.namespace}}
+  }
+}
+
+module.exports = {
+  hasCredentials,
+  readSSHKey,
+  renameCredentials,
+  secretKeyRefs,
+  splitCredentials,
+  sshKeyFiles,
+  withoutPasswords
+}
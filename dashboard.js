@@ -0,0 +1,112 @@
+// A live table of the Virtual Servers of a namespace, fed by a watch.
+// Rows that changed are highlighted for a while, and deleted servers stay listed as Deleted until then
+require('colors')
+const { formatTable, vsCondition, vsSummary } = require('./util.js')
+const { formatAge } = require('./describe.js')
+const { money } = require('./pricing.js')
+
+// How long changes stay highlighted, in milliseconds
+const highlightFor = 10000
+
+// The fields of a server whose changes are reported
+const watchedFields = ['PHASE', 'READY', 'INTERNAL IP', 'EXTERNAL IP']
+
+const key = (vs) => `${vs.metadata.namespace}/${vs.metadata.name}`
+
+// Create a dashboard. hourly prices a VirtualServer as it is now, and may return null when it cannot be priced.
+// onChange is called with a line describing each change
+const createDashboard = ({allNamespaces = false, hourly = () => null, onChange = () => {}}) => {
+  const servers = new Map()
+  const changed = new Map()
+  const log = []
+  // The servers of the first list are not changes
+  let synced = false
+
+  const record = (vs, change, now) => {
+    changed.set(key(vs), {at: now, change})
+    const line = `${new Date(now).toLocaleTimeString()} ${key(vs)} ${change}`
+    log.push(line)
+    log.splice(0, Math.max(0, log.length - 5))
+    onChange(line)
+  }
+
+  const update = (vs, now) => {
+    const before = servers.get(key(vs))
+    servers.set(key(vs), {vs, deletedAt: null})
+    if(!before) {
+      return synced && record(vs, 'added', now)
+    }
+    const [a, b] = [vsSummary(before.vs), vsSummary(vs)]
+    const changes = watchedFields.filter(f => a[f] !== b[f]).map(f => `${f.toLowerCase()} ${a[f] || '-'} -> ${b[f] || '-'}`)
+    if(changes.length > 0) {
+      record(vs, changes.join(', '), now)
+    }
+  }
+
+  return {
+    // Replace the servers with a fresh list, as after a reconnect. Changes missed while disconnected are reported
+    sync: (items, now = Date.now()) => {
+      const seen = new Set(items.map(key))
+      items.forEach(vs => update(vs, now))
+      servers.forEach((s, k) => {
+        if(!seen.has(k) && !s.deletedAt) {
+          s.deletedAt = now
+          record(s.vs, 'deleted', now)
+        }
+      })
+      synced = true
+    },
+    event: ({type, object}, now = Date.now()) => {
+      if(type === 'DELETED') {
+        servers.set(key(object), {vs: object, deletedAt: now})
+        return record(object, 'deleted', now)
+      }
+      update(object, now)
+    },
+    // The table, with recent changes highlighted, followed by the last changes
+    render: (now = Date.now()) => {
+      servers.forEach((s, k) => {
+        if(!!s.deletedAt && now - s.deletedAt > highlightFor) {
+          servers.delete(k)
+        }
+      })
+      changed.forEach((c, k) => {
+        if(now - c.at >= highlightFor) {
+          changed.delete(k)
+        }
+      })
+      const rows = Array.from(servers.values()).sort((a, b) => key(a.vs).localeCompare(key(b.vs)))
+      if(rows.length === 0) {
+        return ['No Virtual Servers found.'.yellow, ...log].join('\n')
+      }
+      const table = formatTable(rows.map(({vs, deletedAt}) => {
+        const summary = vsSummary(vs)
+        const ready = vsCondition(vs, 'VirtualMachineReady')
+        const price = hourly(vs)
+        return {
+          ...(allNamespaces ? {NAMESPACE: summary.NAMESPACE} : {}),
+          NAME: summary.NAME,
+          PHASE: !!deletedAt ? 'Deleted' : summary.PHASE,
+          READY: summary.READY,
+          'INTERNAL IP': summary['INTERNAL IP'],
+          'EXTERNAL IP': summary['EXTERNAL IP'],
+          UPTIME: ready.status === 'True' && !deletedAt ? formatAge(ready.lastTransitionTime, now) : '-',
+          HOURLY: money(price, 4)
+        }
+      })).split('\n')
+      const lines = table.slice(1).map((line, i) => {
+        const {vs, deletedAt} = rows[i]
+        const change = changed.get(key(vs))
+        if(!!deletedAt) {
+          return line.red
+        }
+        return !!change ? (change.change === 'added' ? line.green : line.yellow) : line
+      })
+      return [table[0], ...lines, ...(log.length > 0 ? ['', ...log.map(l => l.gray)] : [])].join('\n')
+    }
+  }
+}
+
+module.exports = {
+  createDashboard
+}
@@ -0,0 +1,117 @@
+// A readable report on a Virtual Server and the objects behind it: the kubevirt VirtualMachine and VirtualMachineInstance,
+// the DataVolume and PVC of its root disk, and the events of all of them.
+// The kubevirt objects are named after the Virtual Server, the root disk after the boot volume of the VirtualMachine.
+// Objects that could not be read are passed as null
+const { formatTable, vsSummary } = require('./util.js')
+
+// How long ago timestamp was, as in 45s, 12m, 3h or 2d
+const formatAge = (timestamp, now = Date.now()) => {
+  const time = Date.parse(timestamp)
+  if(isNaN(time)) {
+    return '-'
+  }
+  const seconds = Math.max(0, Math.round((now - time) / 1000))
+  return seconds < 120 ? `${seconds}s`
+    : seconds < 120 * 60 ? `${Math.floor(seconds / 60)}m`
+    : seconds < 48 * 3600 ? `${Math.floor(seconds / 3600)}h`
+    : `${Math.floor(seconds / 86400)}d`
+}
+
+// The events of the objects of the Virtual Server name, of the virt-launcher pod running it, and of its root disk diskName
+// when it is known, oldest first
+const relatedEvents = (events, name, diskName) => events
+.filter(e => !!e.involvedObject && (e.involvedObject.name === name
+  || (!!diskName && e.involvedObject.name === diskName)
+  || (e.involvedObject.name || '').startsWith(`virt-launcher-${name}-`)))
+.sort((a, b) => String(eventTime(a)).localeCompare(String(eventTime(b))))
+
+const eventTime = (e) => e.lastTimestamp || e.eventTime || e.metadata.creationTimestamp
+
+const field = (label, value) => `  ${(!!label ? `${label}:` : '').padEnd(14)}${value === undefined || value === null || value === '' ? '-' : value}`
+
+const indent = (text) => text.split('\n').map(l => `  ${l}`).join('\n')
+
+const conditionRows = (conditions = [], now) => conditions.map(c => ({
+  TYPE: c.type,
+  STATUS: c.status,
+  REASON: c.reason || '',
+  AGE: formatAge(c.lastTransitionTime, now),
+  MESSAGE: c.message || ''
+}))
+
+const vmLines = (vm) => !vm
+  ? ['  Not found']
+  : [
+    field('Status', (vm.status || {}).printableStatus || ((vm.status || {}).ready ? 'Running' : 'Stopped')),
+    field('Running', String(vm.spec.running !== undefined ? vm.spec.running : vm.spec.runStrategy))
+  ]
+
+const vmiLines = (vmi, now) => {
+  if(!vmi) {
+    return ['  Not running']
+  }
+  const status = vmi.status || {}
+  const guest = status.guestOSInfo || {}
+  const agent = (status.conditions || []).filter(c => c.type === 'AgentConnected')[0]
+  const ips = (status.interfaces || [])
+  .map(i => `${i.name || i.interfaceName || 'default'} ${(i.ipAddresses || [i.ipAddress]).filter(ip => !!ip).join(', ') || '-'}`)
+  return [
+    field('Phase', status.phase),
+    field('Node', status.nodeName),
+    field('Started', formatAge(vmi.metadata.creationTimestamp, now) + ' ago'),
+    field('IPs', ips.join('; ')),
+    field('Guest agent', !!agent && agent.status === 'True' ? 'connected' : 'not connected'),
+    field('Guest OS', !!guest.prettyName || !!guest.name ? `${guest.prettyName || guest.name}${!!guest.kernelRelease ? ` (kernel ${guest.kernelRelease})` : ''}` : null)
+  ]
+}
+
+const diskLines = (dataVolume, pvc) => {
+  const lines = []
+  if(!!dataVolume) {
+    const status = dataVolume.status || {}
+    lines.push(field('DataVolume', `${status.phase || 'Pending'}${!!status.progress && status.progress !== 'N/A' ? ` ${status.progress}` : ''}`))
+    const problem = (status.conditions || []).filter(c => c.status !== 'True' && !!c.message)[0]
+    if(!!problem && status.phase !== 'Succeeded') {
+      lines.push(field('', problem.message))
+    }
+  }
+  if(!!pvc) {
+    const capacity = ((pvc.status || {}).capacity || {}).storage || pvc.spec.resources.requests.storage
+    lines.push(field('PVC', `${(pvc.status || {}).phase || 'Pending'} ${capacity} ${pvc.spec.storageClassName || ''}`.trim()))
+  }
+  return lines.length > 0 ? lines : ['  Not found']
+}
+
+const eventRows = (events, now) => events.map(e => ({
+  'LAST SEEN': formatAge(eventTime(e), now),
+  OBJECT: `${e.involvedObject.kind}/${e.involvedObject.name}`,
+  TYPE: e.type || '',
+  REASON: e.reason || '',
+  MESSAGE: `${e.message || ''}${e.count > 1 ? ` (x${e.count})` : ''}`.trim()
+}))
+
+// The report on a Virtual Server, with at most eventLimit of its most recent events. An eventLimit of 0 leaves the events out.
+// rootDisk is the name of the DataVolume and PVC of the root disk, when it is known
+const describeReport = ({vs, vm = null, vmi = null, rootDisk, dataVolume = null, pvc = null, events = [], eventLimit = 20, now = Date.now()}) => {
+  const conditions = conditionRows((vs.status || {}).conditions, now)
+  const recent = eventLimit > 0 ? relatedEvents(events, vs.metadata.name, rootDisk).slice(-eventLimit) : []
+  return [
+    `Virtual Server ${vs.metadata.namespace}/${vs.metadata.name}`,
+    indent(formatTable([vsSummary(vs)])),
+    'Conditions:',
+    conditions.length > 0 ? indent(formatTable(conditions)) : '  None reported',
+    'VirtualMachine:',
+    ...vmLines(vm),
+    'VirtualMachineInstance:',
+    ...vmiLines(vmi, now),
+    'Root disk:',
+    ...diskLines(dataVolume, pvc),
+    ...(eventLimit > 0 ? ['Events:', recent.length > 0 ? indent(formatTable(eventRows(recent, now))) : '  None'] : [])
+  ].join('\n')
+}
+
+module.exports = {
+  describeReport,
+  formatAge,
+  relatedEvents
+}
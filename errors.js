@@ -0,0 +1,124 @@
+// Typed errors for the Status objects the Kubernetes API fails requests with.
+// The request backend keeps only the status code and message of a Status, so its reason, name and causes are read back from the message
+class APIError extends Error {
+  constructor(message, {statusCode, reason, details = {}} = {}) {
+    super(message)
+    this.name = 'APIError'
+    this.statusCode = statusCode
+    this.reason = reason
+    this.details = details
+  }
+}
+
+// The object to create already exists. details.name is its name
+class AlreadyExistsError extends APIError {
+  constructor(message, status) {
+    super(message, status)
+    this.name = 'AlreadyExistsError'
+  }
+}
+
+// The object failed validation. causes lists {field, message, reason}, with field a path such as spec.resources.memory
+class InvalidError extends APIError {
+  constructor(message, status) {
+    super(message, status)
+    this.name = 'InvalidError'
+    this.causes = (this.details.causes || []).map(c => ({field: c.field || '', message: c.message || '', reason: c.reason || ''}))
+  }
+}
+
+class ForbiddenError extends APIError {
+  constructor(message, status) {
+    super(message, status)
+    this.name = 'ForbiddenError'
+  }
+}
+
+// A resource quota of the namespace would be exceeded. resources lists {resource, requested, used, limited}
+class QuotaExceededError extends ForbiddenError {
+  constructor(message, status) {
+    super(message, status)
+    this.name = 'QuotaExceededError'
+    const {quota, resources} = quotaDetails(message)
+    this.quota = quota
+    this.resources = resources
+  }
+}
+
+const quotaPattern = /exceeded quota: ([^,]+), requested: (.*), used: (.*), limited: (.*)$/
+
+// The quota and resources named by an exceeded quota message, as in
+// exceeded quota: compute, requested: requests.memory=16Gi, used: requests.memory=60Gi, limited: requests.memory=64Gi
+const quotaDetails = (message) => {
+  const match = String(message).match(quotaPattern)
+  if(!match) {
+    return {quota: null, resources: []}
+  }
+  const pairs = text => text.split(',').map(p => p.trim().split('=')).reduce((acc, [k, v]) => ({...acc, [k]: v}), {})
+  const [requested, used, limited] = [pairs(match[2]), pairs(match[3]), pairs(match[4])]
+  return {
+    quota: match[1],
+    resources: Object.keys(requested).map(resource => ({resource, requested: requested[resource], used: used[resource], limited: limited[resource]}))
+  }
+}
+
+const alreadyExistsPattern = /"([^"]+)" already exists/
+// As in VirtualServer.virtualservers.coreweave.com "foo" is invalid: [spec.region: Unsupported value: "X", spec.users: Required value]
+const invalidPattern = /^(\w+)\S* "([^"]+)" is invalid: ([\s\S]*)$/
+
+// The reason and details of a Status, as far as its message tells them
+const messageStatus = (message, statusCode) => {
+  const exists = statusCode === 409 ? message.match(alreadyExistsPattern) : null
+  if(!!exists) {
+    return {reason: 'AlreadyExists', details: {name: exists[1]}}
+  }
+  const invalid = statusCode === 422 ? message.match(invalidPattern) : null
+  if(!!invalid) {
+    // Several causes are listed in brackets. Each starts with the path of its field
+    const causes = invalid[3].replace(/^\[([\s\S]*)\]$/, '$1').split(/, (?=[\w.\[\]-]+: )/).map(cause => {
+      const at = cause.indexOf(': ')
+      return at > 0 ? {field: cause.slice(0, at), message: cause.slice(at + 2)} : {message: cause}
+    })
+    return {reason: 'Invalid', details: {kind: invalid[1], name: invalid[2], causes}}
+  }
+  return {}
+}
+
+// Type an error of the Kubernetes API from its status code and message. Errors that are not Status errors are returned as they are
+const parseAPIError = (err) => {
+  if(err instanceof APIError || !err || !err.statusCode) {
+    return err
+  }
+  const message = err.message
+  const status = messageStatus(message, err.statusCode)
+  const typed = {statusCode: err.statusCode, reason: status.reason, details: status.details || {}}
+  if(status.reason === 'AlreadyExists') {
+    return new AlreadyExistsError(message, typed)
+  }
+  if(err.statusCode === 422) {
+    return new InvalidError(message, typed)
+  }
+  if(err.statusCode === 403) {
+    return quotaPattern.test(message) ? new QuotaExceededError(message, typed) : new ForbiddenError(message, typed)
+  }
+  return new APIError(message, typed)
+}
+
+// Describe an error for display. The field causes of an invalid object follow its message, one per line
+const describeAPIError = (err) => {
+  const typed = parseAPIError(err)
+  if(typed instanceof InvalidError && typed.causes.length > 0) {
+    return [`${typed.details.kind || 'The object'}${!!typed.details.name ? ` ${typed.details.name}` : ''} is invalid:`, ...typed.causes.map(c => `\t${c.field || '(object)'}: ${c.message}`)].join('\n')
+  }
+  return typed.message
+}
+
+module.exports = {
+  APIError,
+  AlreadyExistsError,
+  ForbiddenError,
+  InvalidError,
+  QuotaExceededError,
+  describeAPIError,
+  parseAPIError
+}
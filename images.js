@@ -0,0 +1,53 @@
+// The catalog of source images.
+// Image PVCs are named after their family with a -DATE- version, as in ubuntu2004-docker-master-20210323-ord1,
+// which is version 20210323 of family ubuntu2004-docker-master-ord1. Images without a date are a family of one version.
+
+const versionPattern = /-(\d+)-(?!.*-\d+-)/
+
+// Split an image name into its family and version. The version is null when the name has no date
+const parseImageName = (name) => {
+  const match = name.match(versionPattern)
+  return !!match
+    ? {family: name.replace(versionPattern, '-'), version: match[1]}
+    : {family: name, version: null}
+}
+
+const imageOS = (name) => name.includes('windows') ? 'windows' : 'linux'
+
+// Newest version first, with images without a version last
+const byVersion = (a, b) => (a.version === null || b.version === null)
+  ? (a.version === null) - (b.version === null)
+  : b.version.localeCompare(a.version)
+
+// Group image PVCs by family, newest version first
+const imageCatalog = (images) => Object.values(images.reduce((acc, image) => {
+  const {family, version} = parseImageName(image.metadata.name)
+  acc[family] = acc[family] || {family, os: imageOS(image.metadata.name), versions: []}
+  acc[family].versions.push({version, image})
+  return acc
+}, {}))
+.map(f => ({...f, versions: f.versions.sort(byVersion)}))
+.sort((a, b) => a.family.localeCompare(b.family))
+
+// The image of a family at a version, or its latest version
+const resolveImage = (catalog, family, version = 'latest') => {
+  const entry = catalog.filter(f => f.family === family)[0]
+  if(!entry) {
+    return undefined
+  }
+  const found = version === 'latest' ? entry.versions[0] : entry.versions.filter(v => v.version === String(version))[0]
+  return (found || {}).image
+}
+
+// The family and version of an image in the catalog, by PVC name
+const findImage = (catalog, name) => {
+  const {family, version} = parseImageName(name)
+  return !!resolveImage(catalog, family, version || 'latest') ? {family, version: version || 'latest'} : undefined
+}
+
+module.exports = {
+  findImage,
+  imageCatalog,
+  parseImageName,
+  resolveImage
+}
@@ -0,0 +1,95 @@
+// Resource limits of the presets of a Definition.
+// A preset may bound the resources of a Virtual Server with any of
+//   count: {min, max}          GPUs of a gpu preset, or CPUs of a cpu preset
+//   cpuPerGPU: {min, max}      CPUs per GPU, for gpu presets
+//   memory: {min, max}         memory of the Virtual Server, as quantities
+//   memoryPerUnit: {min, max}  memory per GPU of a gpu preset, or per CPU of a cpu preset, as quantities
+// These limits are optional and not part of every Definition; presets without any of them are not checked.
+const { parseQuantity } = require('./util.js')
+
+const Gi = 2 ** 30
+const Mi = 2 ** 20
+
+// The preset of definition for a GPU type, or a CPU type when there is no GPU
+const findPreset = (definition, {gpu, cpu}) => ((definition || {}).spec || {}).presets
+  ? definition.spec.presets.filter(p => !!gpu ? p.class === 'gpu' && p.type === gpu : p.class === 'cpu' && p.type === cpu)[0]
+  : undefined
+
+const range = (r, scale = 1, parse = Number) => ({
+  min: (!!r && r.min !== undefined) ? parse(r.min) * scale : undefined,
+  max: (!!r && r.max !== undefined) ? parse(r.max) * scale : undefined
+})
+
+// The tighter of two ranges
+const intersect = (a, b) => {
+  const mins = [a.min, b.min].filter(v => v !== undefined)
+  const maxes = [a.max, b.max].filter(v => v !== undefined)
+  return {
+    min: mins.length > 0 ? Math.max(...mins) : undefined,
+    max: maxes.length > 0 ? Math.min(...maxes) : undefined
+  }
+}
+
+// The bounds of each resource of a preset, given the counts chosen. Memory bounds are in bytes
+const limitFields = ['count', 'cpuPerGPU', 'memory', 'memoryPerUnit']
+
+const hasLimits = (preset) => !!preset && limitFields.some(f => !!preset[f])
+
+const resourceBounds = (preset, {gpuCount, cpuCount} = {}) => {
+  const isGPU = preset.class === 'gpu'
+  const units = (isGPU ? gpuCount : cpuCount) || 1
+  return {
+    gpuCount: isGPU ? range(preset.count) : {},
+    cpuCount: isGPU ? range(preset.cpuPerGPU, gpuCount || 1) : range(preset.count),
+    memory: intersect(range(preset.memory, 1, parseQuantity), range(preset.memoryPerUnit, units, parseQuantity))
+  }
+}
+
+const formatMemory = (bytes) => bytes % Gi === 0 ? `${bytes / Gi}Gi` : `${Math.ceil(bytes / Mi)}Mi`
+
+const describeRange = ({min, max}, format = String) => (min !== undefined && max !== undefined)
+  ? `between ${format(min)} and ${format(max)}`
+  : (min !== undefined) ? `at least ${format(min)}` : `at most ${format(max)}`
+
+const outOfRange = (value, {min, max}) => (min !== undefined && value < min) || (max !== undefined && value > max)
+
+// Check resources against the limits of preset. Resources not chosen yet are skipped.
+// Returns a list of {field, message}, with field one of gpuCount, cpuCount and memory
+const checkResources = (preset, {gpuCount, cpuCount, memory} = {}) => {
+  if(!hasLimits(preset)) {
+    return []
+  }
+  const bounds = resourceBounds(preset, {gpuCount, cpuCount})
+  const errors = []
+  if(gpuCount !== undefined && gpuCount !== null && outOfRange(gpuCount, bounds.gpuCount)) {
+    errors.push({field: 'gpuCount', message: `${preset.type} allows ${describeRange(bounds.gpuCount)} GPUs.`})
+  }
+  if(cpuCount !== undefined && cpuCount !== null && outOfRange(cpuCount, bounds.cpuCount)) {
+    errors.push({field: 'cpuCount', message: `${preset.type} allows ${describeRange(bounds.cpuCount)} CPUs${preset.class === 'gpu' ? ` with ${gpuCount || 1} GPU(s)` : ''}.`})
+  }
+  if(!!memory && outOfRange(parseQuantity(memory), bounds.memory)) {
+    errors.push({field: 'memory', message: `${preset.type} allows ${describeRange(bounds.memory, formatMemory)} of memory with ${preset.class === 'gpu' ? `${gpuCount || 1} GPU(s)` : `${cpuCount || 1} CPU(s)`}.`})
+  }
+  return errors
+}
+
+const clamp = (value, {min, max}) => Math.min(max === undefined ? value : max, Math.max(min === undefined ? value : min, value))
+
+// The valid resources of preset closest to resources. Counts are settled first, then memory for those counts
+const closestResources = (preset, {gpuCount, cpuCount, memory} = {}) => {
+  const closest = {}
+  if(preset.class === 'gpu') {
+    closest.gpuCount = Math.round(clamp(gpuCount || 1, resourceBounds(preset).gpuCount))
+  }
+  closest.cpuCount = Math.round(clamp(cpuCount || 1, resourceBounds(preset, closest).cpuCount))
+  const bytes = parseQuantity(memory)
+  const memoryBounds = resourceBounds(preset, closest).memory
+  closest.memory = (isNaN(bytes) || !outOfRange(bytes, memoryBounds)) ? memory : formatMemory(clamp(bytes, memoryBounds))
+  return closest
+}
+
+module.exports = {
+  checkResources,
+  closestResources,
+  findPreset
+}
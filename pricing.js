@@ -0,0 +1,136 @@
+// Cost estimates for Virtual Servers.
+// Instance rates come from the metadata endpoint in pricingURL, in the same form as localPrices.instances.
+// Storage and network rates are not published there, so they always come from the local table.
+const { parseQuantity } = require('./util.js')
+
+const hoursPerDay = 24
+const hoursPerMonth = 730
+
+// The local price table, in dollars per hour. Used when the metadata endpoint cannot be reached.
+// Instance rates are per GPU or CPU and per GB of memory, storage rates are per GB
+const localPrices = {
+  instances: [
+    {type: 'gpu', id: 'Quadro_RTX_4000', gpu: {billingRate: 0.24}, cpu: {billingRate: 0.01, memory: {billingRate: 0.005}}},
+    {type: 'gpu', id: 'Quadro_RTX_5000', gpu: {billingRate: 0.57}, cpu: {billingRate: 0.01, memory: {billingRate: 0.005}}},
+    {type: 'gpu', id: 'RTX_A4000', gpu: {billingRate: 0.61}, cpu: {billingRate: 0.01, memory: {billingRate: 0.005}}},
+    {type: 'gpu', id: 'RTX_A5000', gpu: {billingRate: 0.77}, cpu: {billingRate: 0.01, memory: {billingRate: 0.005}}},
+    {type: 'gpu', id: 'RTX_A6000', gpu: {billingRate: 1.28}, cpu: {billingRate: 0.01, memory: {billingRate: 0.005}}},
+    {type: 'gpu', id: 'Tesla_V100_PCIE', gpu: {billingRate: 0.47}, cpu: {billingRate: 0.01, memory: {billingRate: 0.005}}},
+    {type: 'gpu', id: 'Tesla_V100_NVLINK', gpu: {billingRate: 0.80}, cpu: {billingRate: 0.01, memory: {billingRate: 0.005}}},
+    {type: 'gpu', id: 'A40', gpu: {billingRate: 1.28}, cpu: {billingRate: 0.01, memory: {billingRate: 0.005}}},
+    {type: 'gpu', id: 'A100_PCIE_40GB', gpu: {billingRate: 2.06}, cpu: {billingRate: 0.01, memory: {billingRate: 0.005}}},
+    {type: 'gpu', id: 'A100_PCIE_80GB', gpu: {billingRate: 2.21}, cpu: {billingRate: 0.01, memory: {billingRate: 0.005}}},
+    {type: 'cpu', id: 'intel-xeon-v3', cpu: {billingRate: 0.0125, memory: {billingRate: 0.005}}},
+    {type: 'cpu', id: 'intel-xeon-v4', cpu: {billingRate: 0.015, memory: {billingRate: 0.005}}},
+    {type: 'cpu', id: 'intel-xeon-icelake', cpu: {billingRate: 0.035, memory: {billingRate: 0.005}}},
+    {type: 'cpu', id: 'intel-xeon-scalable', cpu: {billingRate: 0.03, memory: {billingRate: 0.005}}},
+    {type: 'cpu', id: 'amd-epyc-rome', cpu: {billingRate: 0.03, memory: {billingRate: 0.005}}},
+    {type: 'cpu', id: 'amd-epyc-milan', cpu: {billingRate: 0.035, memory: {billingRate: 0.005}}}
+  ],
+  // Keyed by storage class prefix. Storage classes are named after their region, as in block-nvme-ord1
+  storage: {
+    'block-nvme': 0.000097,
+    'block-hdd': 0.000055,
+    'shared-nvme': 0.000097,
+    'shared-hdd': 0.000055,
+    default: 0.000097
+  },
+  network: {
+    publicIP: 0.0055
+  }
+}
+
+// Split instance rates into the GPU and CPU options offered by the prompts
+const instanceOptions = (instances) => ({
+  gpuOptions: instances.filter(v => v.type === 'gpu'),
+  cpuOptions: instances.filter(v => v.type === 'cpu')
+})
+
+// The size of a quantity in GB, counted as 2^30 bytes as the Gi sizes of Virtual Servers are. Null when it is not a quantity,
+// so the item shows as unpriced
+const sizeGB = (quantity) => {
+  const bytes = parseQuantity(quantity)
+  return isNaN(bytes) ? null : bytes / 2 ** 30
+}
+
+// The hourly price of quantity at rate per GB, null when either is unknown
+const perGB = (rate, quantity) => {
+  const size = sizeGB(quantity)
+  return (rate === undefined || size === null) ? null : rate * size
+}
+
+const storageRate = (storageClassName = '', prices = localPrices) => {
+  const prefix = Object.keys(prices.storage).filter(p => p !== 'default' && storageClassName.startsWith(p))[0]
+  return prices.storage[prefix || 'default']
+}
+
+// Price a Virtual Server and the new disks created with it.
+// Returns line items of {item, description, hourly}, with hourly null for items that could not be priced, and the totals of the priced items
+const priceVS = ({vs, options = {}, disks = [], prices = localPrices}) => {
+  const {resources = {}, storage = {}, network = {}} = vs.spec || {}
+  const {gpu = {}, cpu = {}} = resources
+  const {gpuOptions = [], cpuOptions = []} = options
+  const items = []
+  const add = (item, description, hourly) => items.push({item, description, hourly: (hourly === null || isNaN(hourly)) ? null : hourly})
+  const option = (!!gpu.type)
+    ? gpuOptions.filter(o => o.id === gpu.type)[0]
+    : cpuOptions.filter(o => o.id === cpu.type)[0]
+  if(!!gpu.type) {
+    add('GPU', `${gpu.count || 1} x ${gpu.type}`, !!option ? option.gpu.billingRate * (gpu.count || 1) : null)
+  }
+  if(!!cpu.type || !!cpu.count) {
+    add('CPU', `${cpu.count || 1} x ${cpu.type || `${gpu.type || 'unknown'} vCPU`}`, !!option ? option.cpu.billingRate * (cpu.count || 1) : null)
+  }
+  if(!!resources.memory) {
+    add('Memory', resources.memory, !!option ? perGB(option.cpu.memory.billingRate, resources.memory) : null)
+  }
+  const root = storage.root || {}
+  if(!!root.size) {
+    add('Root disk', `${root.size} ${root.storageClassName || ''}`.trim(), perGB(storageRate(root.storageClassName, prices), root.size))
+  }
+  if(!!storage.swap) {
+    add('Swap', `${storage.swap} ${root.storageClassName || ''}`.trim(), perGB(storageRate(root.storageClassName, prices), storage.swap))
+  }
+  disks.forEach(d => {
+    const size = d.spec.resources.requests.storage
+    add('Disk', `${d.metadata.name} ${size} ${d.spec.storageClassName || ''}`.trim(), perGB(storageRate(d.spec.storageClassName, prices), size))
+  })
+  if(!!network.public) {
+    add('Public IP', '1 x public IP', prices.network.publicIP)
+  }
+  const hourly = items.reduce((acc, i) => acc + (i.hourly || 0), 0)
+  return {
+    items,
+    complete: items.every(i => i.hourly !== null),
+    hourly,
+    daily: hourly * hoursPerDay,
+    monthly: hourly * hoursPerMonth
+  }
+}
+
+// Compute is only billed while a Virtual Server runs. Storage and public IPs are billed while it exists
+const computeItems = ['GPU', 'CPU', 'Memory']
+
+// The hourly cost of a priced Virtual Server as it is now
+const burnRate = (price, running) => price.items
+.filter(i => running || !computeItems.includes(i.item))
+.reduce((acc, i) => acc + (i.hourly || 0), 0)
+
+const money = (value, digits = 2) => value === null ? 'unknown' : `$${value.toFixed(digits)}`
+
+// Rows for formatTable, one per line item followed by the totals
+const priceRows = (price) => [
+  ...price.items.map(i => ({ITEM: i.item, DESCRIPTION: i.description, HOURLY: money(i.hourly, 4), MONTHLY: money(i.hourly === null ? null : i.hourly * hoursPerMonth)})),
+  {ITEM: 'Total', DESCRIPTION: price.complete ? '' : 'excluding unknown items', HOURLY: money(price.hourly, 4), MONTHLY: money(price.monthly)}
+]
+
+module.exports = {
+  burnRate,
+  hoursPerDay,
+  hoursPerMonth,
+  instanceOptions,
+  localPrices,
+  money,
+  priceRows,
+  priceVS
+}
@@ -0,0 +1,119 @@
+// Parameterized templates.
+// A template is a VirtualServer manifest with an optional list of parameters, for example
+//   parameters:
+//     - name: gpuCount
+//       description: Number of GPUs
+//       type: integer
+//       default: 1
+//       min: 1
+//       max: 8
+// Strings in the manifest may reference parameters as ${gpuCount}. A string that is only a reference takes the type of the parameter.
+// A template may also follow the latest version of an image family, instead of the image in its manifest, with
+//   image:
+//     family: ubuntu2004-docker-master-ord1
+const { k8sValidateQuantity } = require('./util.js')
+
+const parameterTypes = ['string', 'integer', 'number', 'boolean', 'quantity']
+
+// Convert a parameter value given as text to the type of the parameter
+const coerceParameter = (param, value) => {
+  if(typeof value !== 'string') {
+    return value
+  }
+  switch(param.type) {
+    case 'integer':
+    case 'number':
+      return value.trim() === '' ? value : Number(value)
+    case 'boolean':
+      return value === 'true' ? true : value === 'false' ? false : value
+    default:
+      return value
+  }
+}
+
+// Validate a parameter value. Returns true or an error message
+const validateParameter = (param, value) => {
+  const type = param.type || 'string'
+  if(value === undefined || value === null || value === '') {
+    return `${param.name} is required`
+  }
+  if(type === 'integer' && !Number.isInteger(value)) {
+    return `${param.name} must be an integer`
+  }
+  if(type === 'number' && (typeof value !== 'number' || isNaN(value))) {
+    return `${param.name} must be a number`
+  }
+  if(type === 'boolean' && typeof value !== 'boolean') {
+    return `${param.name} must be true or false`
+  }
+  if(type === 'quantity' && !k8sValidateQuantity(value)) {
+    return `${param.name} must be a valid quantity`
+  }
+  if(param.min !== undefined && value < param.min) {
+    return `${param.name} must be at least ${param.min}`
+  }
+  if(param.max !== undefined && value > param.max) {
+    return `${param.name} must be at most ${param.max}`
+  }
+  if(!!param.choices && !param.choices.includes(value)) {
+    return `${param.name} must be one of ${param.choices.join(', ')}`
+  }
+  if(!!param.pattern && !new RegExp(param.pattern).test(String(value))) {
+    return `${param.name} must match ${param.pattern}`
+  }
+  return true
+}
+
+// Check the parameter declarations of a template. Returns a list of error messages
+const checkParameters = (template) => {
+  const params = template.parameters || []
+  const errors = []
+  if(!Array.isArray(params)) {
+    return ['parameters must be a list']
+  }
+  params.forEach((p, i) => {
+    if(!p || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(p.name || '')) {
+      errors.push(`parameters[${i}].name must be a valid identifier`)
+    } else if(!!p.type && !parameterTypes.includes(p.type)) {
+      errors.push(`parameters[${i}].type must be one of ${parameterTypes.join(', ')}`)
+    } else if(p.default !== undefined && validateParameter(p, p.default) !== true) {
+      errors.push(`parameters[${i}].default is invalid. ${validateParameter(p, p.default)}`)
+    }
+  })
+  return errors
+}
+
+const substitute = (value, values) => {
+  if(typeof value === 'string') {
+    const whole = value.match(/^\$\{([A-Za-z_][A-Za-z0-9_]*)\}$/)
+    if(!!whole && values[whole[1]] !== undefined) {
+      return values[whole[1]]
+    }
+    return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (ref, name) => values[name] !== undefined ? String(values[name]) : ref)
+  }
+  if(Array.isArray(value)) {
+    return value.map(v => substitute(v, values))
+  }
+  if(!!value && typeof value === 'object') {
+    return Object.keys(value).reduce((acc, k) => ({...acc, [k]: substitute(value[k], values)}), {})
+  }
+  return value
+}
+
+// Render a template into a VirtualServer manifest, replacing parameter references with values.
+// Parameters without a value use their default
+const renderTemplate = (template, values = {}) => {
+  const {parameters = [], image, ...manifest} = template
+  const resolved = parameters.reduce((acc, p) => ({
+    ...acc,
+    [p.name]: values[p.name] !== undefined ? values[p.name] : p.default
+  }), {})
+  return substitute(manifest, resolved)
+}
+
+module.exports = {
+  checkParameters,
+  coerceParameter,
+  renderTemplate,
+  validateParameter
+}
@@ -1,8 +1,28 @@
+const fs = require('fs')
+const yaml = require('js-yaml')
+
 // Validates is a quantity is a valid k8s resource.Quantity
 const k8sValidateQuantity = (size) => /^(\+|-)?(([0-9]+(\.[0-9]*)?)|(\.[0-9]+))(([KMGTPE]i)|[numkMGTPE]|([eE](\+|-)?(([0-9]+(\.[0-9]*)?)|(\.[0-9]+))))?$/.test(size)
+// The value of a k8s resource.Quantity, e.g. 16Gi or 500M, as a number. NaN when it is not a quantity
+const parseQuantity = (quantity) => {
+  if(!k8sValidateQuantity(String(quantity))) {
+    return NaN
+  }
+  const match = String(quantity).match(/^([+-]?[0-9.]+)([eE][+-]?[0-9.]+|[KMGTPE]i|[numkMGTPE])?$/)
+  const suffixes = {
+    n: 1e-9, u: 1e-6, m: 1e-3, k: 1e3, M: 1e6, G: 1e9, T: 1e12, P: 1e15, E: 1e18,
+    Ki: 2 ** 10, Mi: 2 ** 20, Gi: 2 ** 30, Ti: 2 ** 40, Pi: 2 ** 50, Ei: 2 ** 60
+  }
+  const [, number, suffix] = match
+  if(!suffix) {
+    return Number(number)
+  }
+  return /^[eE]/.test(suffix) ? Number(number + suffix) : Number(number) * suffixes[suffix]
+}
+
 // Create a new blank VirtualServer Manifest object
-const newVirtualServerManifest = ({name, namespace}) => ({
-  apiVersion: "virtualservers.coreweave.com/v1alpha1",
+const newVirtualServerManifest = ({name, namespace, version = "v1alpha1"}) => ({
+  apiVersion: `virtualservers.coreweave.com/${version}`,
   kind: "VirtualServer",
   metadata: {
     name,
@@ -62,7 +82,267 @@ const newVirtualServerManifest = ({name, namespace}) => ({
   }
 })
 
+// Create a new blank PersistentVolumeClaim Manifest object, for use as a block disk
+const newPVCManifest = ({name, namespace, size, storageClassName}) => ({
+  apiVersion: "v1",
+  kind: "PersistentVolumeClaim",
+  metadata: {
+    name,
+    namespace
+  },
+  spec: {
+    accessModes: [
+      "ReadWriteOnce"
+    ],
+    volumeMode: "Block",
+    storageClassName,
+    resources: {
+      requests: {
+        storage: size
+      }
+    }
+  }
+})
+
+// Create a new Secret Manifest object holding stringData
+const newSecretManifest = ({name, namespace, stringData}) => ({
+  apiVersion: "v1",
+  kind: "Secret",
+  metadata: {
+    name,
+    namespace
+  },
+  type: "Opaque",
+  stringData
+})
+
+// Create a new LoadBalancer Service Manifest object to use as a floating IP in region.
+// Virtual Servers attach the Service by name and only use its address, so its single port is a placeholder
+const newFloatingIPManifest = ({name, namespace, region}) => ({
+  apiVersion: "v1",
+  kind: "Service",
+  metadata: {
+    name,
+    namespace,
+    annotations: {
+      "metallb.universe.tf/address-pool": `public-${region.toLowerCase()}`
+    }
+  },
+  spec: {
+    type: "LoadBalancer",
+    externalTrafficPolicy: "Local",
+    ports: [
+      {
+        name: "placeholder",
+        port: 1,
+        protocol: "TCP",
+        targetPort: 1
+      }
+    ]
+  }
+})
+
+// Create a new VolumeSnapshot Manifest object of a PVC. version is the served snapshot.storage.k8s.io version
+const newVolumeSnapshotManifest = ({name, namespace, pvcName, version = "v1beta1"}) => ({
+  apiVersion: `snapshot.storage.k8s.io/${version}`,
+  kind: "VolumeSnapshot",
+  metadata: {
+    name,
+    namespace
+  },
+  spec: {
+    source: {
+      persistentVolumeClaimName: pvcName
+    }
+  }
+})
+
+// Serialize a manifest as yaml or json. An array of manifests is written as a yaml stream or a json List
+const dumpManifest = (manifest, format = 'yaml') => {
+  if(Array.isArray(manifest)) {
+    return format === 'json'
+      ? dumpManifest({apiVersion: 'v1', kind: 'List', items: manifest}, format)
+      : manifest.map(m => dumpManifest(m, format)).join('---\n')
+  }
+  return format === 'json'
+    ? JSON.stringify(manifest, null, 2) + '\n'
+    : yaml.safeDump(manifest, {skipInvalid: true})
+}
+
+// Load every manifest in a yaml or json file. A file of '-' reads from stdin.
+const loadManifests = (file) => {
+  const content = fs.readFileSync(file === '-' ? 0 : file, 'utf8')
+  return yaml.safeLoadAll(content)
+  .reduce((acc, doc) => acc.concat(!!doc && doc.kind === 'List' ? doc.items : doc), [])
+  .filter(doc => !!doc)
+}
+
+// Find a status condition of a VirtualServer by type
+const vsCondition = (vs, type) => ((vs.status || {}).conditions || []).filter(c => c.type === type)[0] || {}
+
+// Summarize a VirtualServer for display in a table
+const vsSummary = (vs) => {
+  const {spec = {}, status = {}} = vs
+  const resources = spec.resources || {}
+  const network = status.network || {}
+  const ready = vsCondition(vs, 'VirtualMachineReady')
+  const gpu = resources.gpu || {}
+  const cpu = resources.cpu || {}
+  return {
+    NAME: vs.metadata.name,
+    NAMESPACE: vs.metadata.namespace,
+    PHASE: status.phase || ready.reason || 'Unknown',
+    READY: ready.status || 'Unknown',
+    REGION: spec.region || '',
+    RESOURCES: [
+      (!!gpu.type) ? `${gpu.count || 1}x ${gpu.type}` : null,
+      (!!cpu.type || !!cpu.count) ? `${cpu.count || 1}x ${cpu.type || 'cpu'}` : null,
+      resources.memory
+    ].filter(r => !!r).join(', '),
+    'INTERNAL IP': network.internalIP || status.internalIP || '',
+    'EXTERNAL IP': network.externalIP || status.externalIP || ''
+  }
+}
+
+// Expand a name pattern such as worker-{i} into count names, numbered from 1
+const expandNamePattern = (pattern, count) => {
+  if(!Number.isInteger(count) || count < 1) {
+    throw new Error('Count must be a positive integer.')
+  }
+  if(count > 1 && !pattern.includes('{i}')) {
+    throw new Error(`Name pattern ${pattern} must include {i} to create more than one Virtual Server.`)
+  }
+  return Array.from({length: count}, (_, i) => pattern.replace(/\{i\}/g, String(i + 1)))
+}
+
+// Map items through an async fn, running at most limit at a time. Resolves to the results in the order of items
+const mapLimit = async (items, limit, fn) => {
+  const results = new Array(items.length)
+  let next = 0
+  const worker = async () => {
+    while(next < items.length) {
+      const i = next++
+      results[i] = await fn(items[i], i)
+    }
+  }
+  await Promise.all(Array.from({length: Math.max(1, Math.min(limit, items.length) || 1)}, worker))
+  return results
+}
+
+// Whether a VirtualServer is running, from its status
+const vsRunning = (vs) => String((vs.status || {}).phase || '').toLowerCase() === 'running'
+  || vsCondition(vs, 'VirtualMachineReady').status === 'True'
+
+// Parse a duration such as 90, 30s, 10m or 1h into milliseconds. Plain numbers are seconds.
+const parseDuration = (duration) => {
+  const match = String(duration).trim().match(/^(\d+(?:\.\d+)?)(ms|s|m|h)?$/)
+  if(!match) {
+    throw new Error(`Invalid duration ${duration}. Use a number followed by s, m or h.`)
+  }
+  const units = {ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000}
+  return Math.round(parseFloat(match[1]) * units[match[2] || 's'])
+}
+
+// Parse a wait target of the form condition=Type, condition=Type=Status or delete
+const parseWaitFor = (waitFor) => {
+  if(waitFor === 'delete') {
+    return {deleted: true}
+  }
+  const match = String(waitFor).match(/^condition=([^=]+)(?:=(.+))?$/)
+  if(!match) {
+    throw new Error(`Invalid wait target ${waitFor}. Use condition=Type, condition=Type=Status or delete.`)
+  }
+  return {condition: match[1], status: match[2] || 'True'}
+}
+
+// Diff two texts line by line. Returns a list of {op, line} where op is ' ' for unchanged, '-' for removed and '+' for added lines
+const diffLines = (before, after) => {
+  const a = before.split('\n')
+  const b = after.split('\n')
+  // lcs[i][j] is the length of the longest common subsequence of a[i:] and b[j:]
+  const lcs = a.map(() => new Array(b.length + 1).fill(0)).concat([new Array(b.length + 1).fill(0)])
+  for(let i = a.length - 1; i >= 0; i--) {
+    for(let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1])
+    }
+  }
+  const diff = []
+  let i = 0
+  let j = 0
+  while(i < a.length || j < b.length) {
+    if(i < a.length && j < b.length && a[i] === b[j]) {
+      diff.push({op: ' ', line: a[i++]})
+      j++
+    } else if(j >= b.length || (i < a.length && lcs[i + 1][j] >= lcs[i][j + 1])) {
+      diff.push({op: '-', line: a[i++]})
+    } else {
+      diff.push({op: '+', line: b[j++]})
+    }
+  }
+  return diff
+}
+
+// Split a path such as spec.network.tcp.ports[0] into keys and array indexes
+const parsePath = (path) => {
+  const keys = []
+  path.replace(/([^.[\]]+)|\[(\d+)\]/g, (_, key, index) => keys.push(index !== undefined ? parseInt(index) : key))
+  return keys
+}
+
+// The value at a path of manifest, such as spec.users[0].username. Undefined when the path is not set
+const getField = (manifest, path) => parsePath(path).reduce((acc, key) => (acc === undefined || acc === null) ? undefined : acc[key], manifest)
+
+// Apply an override of the form path=value to a copy of manifest.
+// The value is read as yaml, so numbers and booleans keep their types and an empty value sets null
+const applySet = (manifest, set) => {
+  const i = set.indexOf('=')
+  const keys = i > 0 ? parsePath(set.slice(0, i)) : []
+  if(keys.length === 0) {
+    throw new Error(`Invalid override ${set}. Use path=value, for example spec.resources.memory=16Gi.`)
+  }
+  const value = yaml.safeLoad(set.slice(i + 1))
+  const copy = JSON.parse(JSON.stringify(manifest))
+  let target = copy
+  keys.slice(0, -1).forEach((key, j) => {
+    if(target[key] === undefined || target[key] === null || typeof target[key] !== 'object') {
+      target[key] = typeof keys[j + 1] === 'number' ? [] : {}
+    }
+    target = target[key]
+  })
+  target[keys[keys.length - 1]] = value === undefined ? null : value
+  return copy
+}
+
+// Format rows of objects as a text table, one column per key of the first row
+const formatTable = (rows) => {
+  if(rows.length === 0) {
+    return ''
+  }
+  const columns = Object.keys(rows[0])
+  const widths = columns.map(c => Math.max(c.length, ...rows.map(r => String(r[c] === undefined ? '' : r[c]).length)))
+  const line = values => values.map((v, i) => String(v === undefined ? '' : v).padEnd(widths[i])).join('   ').trimEnd()
+  return [line(columns), ...rows.map(r => line(columns.map(c => r[c])))].join('\n')
+}
+
 module.exports = {
+  applySet,
+  diffLines,
+  dumpManifest,
+  expandNamePattern,
+  formatTable,
+  getField,
   k8sValidateQuantity,
-  newVirtualServerManifest
+  loadManifests,
+  mapLimit,
+  newFloatingIPManifest,
+  newPVCManifest,
+  newSecretManifest,
+  newVirtualServerManifest,
+  newVolumeSnapshotManifest,
+  parseDuration,
+  parseQuantity,
+  parseWaitFor,
+  vsCondition,
+  vsRunning,
+  vsSummary
 }
\ No newline at end of file
@@ -0,0 +1,126 @@
+// Client side validation of manifests against the openAPIV3Schema of an installed CRD
+
+// Find the openAPIV3Schema of a CRD for an api version. The schema may be set per version or for the whole CRD.
+const crdSchema = (crd, version) => {
+  const versions = crd.spec.versions || []
+  const served = versions.filter(v => v.name === version)[0] || versions.filter(v => v.storage)[0] || {}
+  return ((served.schema || crd.spec.validation || {}).openAPIV3Schema) || null
+}
+
+const typeOf = (value) => {
+  if(Array.isArray(value)) return 'array'
+  if(Number.isInteger(value)) return 'integer'
+  return typeof value
+}
+
+const matchesType = (value, schema) => {
+  if(schema['x-kubernetes-int-or-string']) {
+    return ['integer', 'string'].includes(typeOf(value))
+  }
+  if(!schema.type) {
+    return true
+  }
+  const type = typeOf(value)
+  return schema.type === type || (schema.type === 'number' && type === 'integer')
+}
+
+// Validate value against schema, collecting errors as {path, message}
+const validateValue = (value, schema, path, errors) => {
+  if(!schema || value === null || value === undefined) {
+    return errors
+  }
+  const at = path || '(root)'
+  if(!matchesType(value, schema)) {
+    errors.push({path: at, message: `must be of type ${schema['x-kubernetes-int-or-string'] ? 'integer or string' : schema.type}, got ${typeOf(value)}`})
+    return errors
+  }
+  if(!!schema.enum && !schema.enum.includes(value)) {
+    errors.push({path: at, message: `must be one of ${schema.enum.join(', ')}`})
+  }
+  if(typeof value === 'string') {
+    if(!!schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({path: at, message: `must match ${schema.pattern}`})
+    }
+    if(schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({path: at, message: `must be at least ${schema.minLength} characters`})
+    }
+    if(schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({path: at, message: `must be at most ${schema.maxLength} characters`})
+    }
+  }
+  if(typeof value === 'number') {
+    if(schema.minimum !== undefined && (schema.exclusiveMinimum ? value <= schema.minimum : value < schema.minimum)) {
+      errors.push({path: at, message: `must be ${schema.exclusiveMinimum ? 'greater than' : 'at least'} ${schema.minimum}`})
+    }
+    if(schema.maximum !== undefined && (schema.exclusiveMaximum ? value >= schema.maximum : value > schema.maximum)) {
+      errors.push({path: at, message: `must be ${schema.exclusiveMaximum ? 'less than' : 'at most'} ${schema.maximum}`})
+    }
+  }
+  if(Array.isArray(value)) {
+    if(schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({path: at, message: `must have at least ${schema.minItems} items`})
+    }
+    if(schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({path: at, message: `must have at most ${schema.maxItems} items`})
+    }
+    value.forEach((item, i) => validateValue(item, schema.items, `${path}[${i}]`, errors))
+  }
+  if(typeOf(value) === 'object') {
+    const properties = schema.properties || {}
+    ;(schema.required || [])
+    .filter(k => value[k] === undefined || value[k] === null)
+    .forEach(k => errors.push({path: path ? `${path}.${k}` : k, message: 'is required'}))
+    Object.keys(value).forEach(k => {
+      const childPath = path ? `${path}.${k}` : k
+      if(!!properties[k]) {
+        validateValue(value[k], properties[k], childPath, errors)
+      } else if(typeof schema.additionalProperties === 'object') {
+        validateValue(value[k], schema.additionalProperties, childPath, errors)
+      } else if(!!schema.properties && !schema.additionalProperties && !schema['x-kubernetes-preserve-unknown-fields']) {
+        errors.push({path: childPath, message: 'is not a known field'})
+      }
+    })
+  }
+  ;(schema.allOf || []).forEach(s => validateValue(value, s, path, errors))
+  const alternatives = schema.anyOf || schema.oneOf
+  if(!!alternatives && !alternatives.some(s => validateValue(value, s, path, []).length === 0)) {
+    errors.push({path: at, message: `must match ${schema.anyOf ? 'at least one' : 'exactly one'} of the allowed schemas`})
+  }
+  return errors
+}
+
+// Validate a manifest against the schema of crd. Returns a list of {path, message}, empty when the manifest is valid.
+// Beyond metadata.name, metadata and status are left to the server
+const validateManifest = (manifest, crd) => {
+  const [group, version] = String(manifest.apiVersion || '').split('/')
+  const errors = []
+  if(group !== crd.spec.group) {
+    errors.push({path: 'apiVersion', message: `must be in group ${crd.spec.group}`})
+  }
+  if(manifest.kind !== crd.spec.names.kind) {
+    errors.push({path: 'kind', message: `must be ${crd.spec.names.kind}`})
+  }
+  if(!manifest.metadata || !manifest.metadata.name) {
+    errors.push({path: 'metadata.name', message: 'is required'})
+  }
+  const schema = crdSchema(crd, version)
+  if(!schema) {
+    return errors
+  }
+  const {apiVersion, kind, metadata, status, ...body} = manifest
+  const properties = {...(schema.properties || {})}
+  delete properties.apiVersion
+  delete properties.kind
+  delete properties.metadata
+  delete properties.status
+  return validateValue(body, {...schema, properties, required: (schema.required || []).filter(k => !!properties[k])}, '', errors)
+}
+
+// Format validation errors for display, one per line
+const formatErrors = (errors) => errors.map(e => `${e.path}: ${e.message}`).join('\n')
+
+module.exports = {
+  crdSchema,
+  formatErrors,
+  validateManifest
+}
@@ -3,149 +3,324 @@ const VSClient = require('./client.js')
 const colors = require('colors')
 const util = require('util')
 const fs = require('fs')
+const { Console } = require('console')
 const os = require('os')
 const storage = require('node-persist');
 const prompts = require('prompts')
-const xbytes = require('xbytes')
 const fetch = require('node-fetch')
+const yaml = require('js-yaml')
 const yargs = require('yargs')
 const {hideBin} = require('yargs/helpers')
-const { newVirtualServerManifest, k8sValidateQuantity } = require('./util.js')
+const { crdSchema, validateManifest, formatErrors } = require('./validate.js')
+const { renderTemplate, checkParameters, validateParameter, coerceParameter } = require('./template.js')
+const { priceVS, priceRows, burnRate, instanceOptions, localPrices, money, hoursPerDay, hoursPerMonth } = require('./pricing.js')
+const { imageCatalog, resolveImage, findImage, parseImageName } = require('./images.js')
+const { checkResources, closestResources, findPreset } = require('./presets.js')
+const { describeReport } = require('./describe.js')
+const { AlreadyExistsError, ForbiddenError, InvalidError, QuotaExceededError, describeAPIError, parseAPIError } = require('./errors.js')
+const { createDashboard } = require('./dashboard.js')
+const { buildCloudInit, readCloudInit, validateCloudInit } = require('./cloudinit.js')
+const { hasCredentials, readSSHKey, renameCredentials, secretKeyRefs, splitCredentials, sshKeyFiles, withoutPasswords } = require('./credentials.js')
+const { readConfig, writeConfig, resolveConfig, setSetting, parseSetting, configPath, templatesPath, defaults: configDefaults } = require('./config.js')
+const { expandNamePattern, getField, mapLimit, newFloatingIPManifest, newVirtualServerManifest, newVolumeSnapshotManifest, newPVCManifest, k8sValidateQuantity, dumpManifest, loadManifests, formatTable, vsSummary, vsCondition, vsRunning, parseQuantity, parseDuration, parseWaitFor, diffLines, applySet } = require('./util.js')
 
 let templates = {}
+let templateStorage = null
 let client = null
 let options = {}
+let config = configDefaults
+let interactive = true
+// Messages and prompts are written to messageStream. Commands printing a manifest or report to stdout send them to stderr instead
+let messageStream = process.stdout
+let messages = console
+const messagesTo = (stream) => {
+  messageStream = stream
+  messages = new Console(stream)
+}
 const onCancel = (prompt) => {
   process.exit(0)
 }
-const init = async () => {
-  console.log('Loading...'.green)
+const cachePath = () => fs.realpathSync(os.tmpdir()) + '/vs-tool.cache'
+
+// Load the saved templates. Templates left in the cache by earlier versions are moved to the templates directory
+const initTemplates = async () => {
+  templateStorage = storage.create({dir: templatesPath(), ttl: false})
+  await templateStorage.init()
+  templates = await templateStorage.getItem('templates') || {}
+  // Templates saved by earlier versions may hold passwords
+  if(Object.keys(templates).some(k => ((templates[k].spec || {}).users || []).some(u => !!u.password))) {
+    await saveTemplates(templates)
+  }
+  const cache = storage.create({dir: cachePath()})
+  await cache.init()
+  const cachedTemplates = await cache.getItem('_templates')
+  if(!!cachedTemplates) {
+    await saveTemplates({...cachedTemplates, ...templates})
+    await cache.removeItem('_templates')
+    messages.log(`Moved ${Object.keys(cachedTemplates).length} template(s) to ${templatesPath()}`.green)
+  }
+}
+
+// Passwords are never saved. They are prompted for when a template is used
+const saveTemplates = async (newTemplates) => {
+  newTemplates = Object.keys(newTemplates).reduce((acc, k) => ({...acc, [k]: withoutPasswords(newTemplates[k])}), {})
+  await templateStorage.setItem('templates', newTemplates)
+  templates = newTemplates
+}
+
+const initConfig = (context) => {
+  try {
+    config = resolveConfig(readConfig(), context)
+  } catch(err) {
+    messages.log(`Unable to read config file ${configPath()}. ${err.message}`.red)
+    process.exit(1)
+  }
+}
+
+// Load instance prices from the metadata endpoint of the config of context, falling back to the local price table.
+// Only fetched prices are cached
+const initPrices = async (context) => {
   await storage.init({
-    dir: fs.realpathSync(os.tmpdir()) + '/vs-tool.cache',
-    ttl: 10 * 60 * 1000, // TTL entries to 10 mins
+    dir: cachePath(),
+    ttl: parseDuration(config.cacheTTL),
   });
-  client = new VSClient()
-  await client.init()
-  templates = await storage.getItem('_templates') || {}
-  options = await storage.getItem('options')
+  const key = `options:${context}`
+  options = await storage.getItem(key)
   if(!options) {
-    await fetch('https://www.coreweave.com/cloud/api/v1/metadata/instances')
-    .then(r => r.json())
-    .then(o => options = {
-      gpuOptions: o.filter(v => v.type === 'gpu'), 
-      cpuOptions: o.filter(v => v.type === 'cpu')
+    await fetch(config.pricingURL)
+    .then(r => {
+      if(!r.ok) {
+        throw new Error(`${r.status} ${r.statusText}`)
+      }
+      return r.json()
     })
-    .then(() => storage.setItem('options', options))
+    .then(o => options = instanceOptions(o))
+    .then(() => storage.setItem(key, options))
+    .catch(err => {
+      messages.log(`Unable to load prices from ${config.pricingURL}. Using the local price table. ${err.message}`.yellow)
+      options = instanceOptions(localPrices.instances)
+    })
+  }
+}
+
+// The context init would use, read from the kubeconfig without connecting. The --context given when the kubeconfig cannot be loaded
+const kubeconfigContext = ({kubeconfig, context}) => {
+  try {
+    return new VSClient(kubeconfig, {context}).context
+  } catch(err) {
+    return context
+  }
+}
+
+// Load the kubeconfig, config, prices and templates. The served API versions are discovered unless discover is false,
+// as for a dry run, which needs the cluster only to offer choices and builds manifests at the default versions
+const init = async ({kubeconfig, context, namespace} = {}, {discover = true} = {}) => {
+  messages.log('Loading...'.green)
+  try {
+    client = new VSClient(kubeconfig, {context, namespace})
+  } catch(err) {
+    messages.log(`Unable to load kubeconfig. ${err.message}`.red)
+    process.exit(1)
   }
+  initConfig(client.context)
+  await initPrices(client.context)
+  if(discover) {
+    try {
+      await client.init()
+    } catch(err) {
+      messages.log(`Unable to use context ${client.context}. ${err.message}`.red)
+      process.exit(1)
+    }
+  }
+  await initTemplates()
 } 
 
-const main = async() => {
-  console.log("Let's create a new Virtual Server.".green)
-  let images = await storage.getItem('images')
-  if(!images) {
-    images = await client.image.list({namespace: 'vd-images'})
-    .then(o => o.body.items)
-    .then(images =>  
-      Object.values(images.reduce((acc, i) => {
-          const name = i.metadata.name
-          const base = name.replace(/-\d*-(?!.*-\d*-)/, '-DATE-')
-          const date = (name.match(/-\d*-(?!.*-\d*-)/) || [])[0]
-          if (!acc[base] || date > acc[base][1]) {
-            acc[base] = [i, date]
-          }
-          return acc
-        }, {}))
-      .map(i => i[0])
-    )
-    .then(images => storage.setItem('images', images))
-    .then(() => storage.getItem('images'))
-    .catch(_ => [])
+// Flags accepted by new, keyed by flag with the name of the prompt they answer
+const newOptions = {
+  'name': {answer: 'name', type: 'string', desc: 'Name of the Virtual Server'},
+  'region': {answer: 'region', type: 'string', desc: 'Region to deploy the Virtual Server to'},
+  'image': {answer: 'image', type: 'string', desc: 'Source image PVC for the root FS, pinning its version'},
+  'image-family': {answer: 'imageFamily', type: 'string', desc: 'Source image family for the root FS'},
+  'image-version': {answer: 'imageVersion', type: 'string', desc: 'Version of the image family, or latest'},
+  'image-namespace': {answer: 'imageNamespace', type: 'string', desc: 'Namespace of the source image PVC'},
+  'image-size': {answer: 'imageSize', type: 'string', desc: 'Root disk size. Defaults to the size of the image, and may not be smaller'},
+  'image-storage-class': {answer: 'imageStorageClassName', type: 'string', desc: 'Root disk storage class. Defaults to the storage class of the image'},
+  'os': {answer: 'os', type: 'string', choices: ['linux', 'windows'], desc: 'Operating system type'},
+  'definition': {answer: 'definition', type: 'string', desc: 'Resource definition alias'},
+  'gpu': {answer: 'gpu', type: 'string', desc: 'GPU type'},
+  'gpu-count': {answer: 'gpuCount', type: 'number', desc: 'Number of GPUs'},
+  'cpu': {answer: 'cpu', type: 'string', desc: 'CPU type'},
+  'cpu-count': {answer: 'cpuCount', type: 'number', desc: 'Number of CPUs'},
+  'memory': {answer: 'memory', type: 'string', desc: 'Memory amount'},
+  'swap': {answer: 'swap', type: 'string', desc: 'Swap amount'},
+  'filesystem': {answer: 'filesystems', type: 'array', desc: 'An existing PVC to mount as a filesystem'},
+  'disk': {answer: 'disks', type: 'array', desc: 'An existing PVC to attach as a block disk'},
+  'new-disk': {answer: 'newDisks', type: 'array', desc: 'A new blank disk to create, as name:size[:storageClassName]'},
+  'user': {answer: 'users', type: 'array', desc: 'A user to add, by username'},
+  'password-file': {answer: 'passwordFiles', type: 'array', desc: 'A file holding the password of a user, as username=file. The password may also be set in VS_PASSWORD_<USERNAME>, or is prompted for'},
+  'ssh-key': {answer: 'sshKeys', type: 'array', desc: 'An SSH public key or key file for the users, as [username=]key. Without a username the key is added to every user'},
+  'credentials-secret': {answer: 'credentialsSecret', type: 'boolean', desc: 'Keep user credentials in a Secret instead of the Virtual Server spec'},
+  'cloud-init': {answer: 'cloudInit', type: 'string', desc: 'A cloud-init user-data file to run on first boot'},
+  'package': {answer: 'packages', type: 'array', desc: 'A package to install on first boot'},
+  'run': {answer: 'runcmd', type: 'array', desc: 'A command to run on first boot'},
+  'write-file': {answer: 'writeFiles', type: 'array', desc: 'A local file to write on first boot, as remotePath=localFile'},
+  'direct-attach': {answer: 'directAttach', type: 'boolean', desc: 'Direct attach load balancer'},
+  'tcp-port': {answer: 'tcpPorts', type: 'array', desc: 'TCP ports to expose'},
+  'udp-port': {answer: 'udpPorts', type: 'array', desc: 'UDP ports to expose'},
+  'floating-ip': {answer: 'floatingIPs', type: 'array', desc: 'Floating IP services to attach'},
+  'public': {answer: 'public', type: 'boolean', desc: 'Create a public IP'}
+}
+
+// Collect answers from the answers file given by --answers, then from flags. Flags take precedence.
+const loadAnswers = (argv) => {
+  const fileAnswers = (!!argv.answers) ? yaml.safeLoad(fs.readFileSync(argv.answers, 'utf8')) || {} : {}
+  // The global --namespace option answers the namespace prompt
+  const namespaceAnswer = (!!argv.namespace) ? {namespace: argv.namespace} : {}
+  return Object.keys(newOptions).reduce((acc, flag) => {
+    const value = argv[flag]
+    if(value !== undefined) {
+      acc[newOptions[flag].answer] = value
+    }
+    return acc
+  }, {...fileAnswers, ...namespaceAnswer})
+}
+
+// Answers set by a flag for another answer. Without image families, --image names the source image PVC
+const answerAliases = {imageName: 'image'}
+
+// Describe a prompt answer by name and the flag that sets it
+const answerLabel = (name) => {
+  const answer = answerAliases[name] || name
+  const flag = Object.keys(newOptions).filter(f => newOptions[f].answer === answer)[0]
+  return (!!flag) ? `${name} (--${flag})` : name
+}
+
+// Users may be given as username strings or as {username, password} objects.
+// Passwords are not taken from flags, where shell history and ps would show them
+const parseUsers = (users) => [].concat(users).map(u => typeof u === 'string' ? {username: u} : u)
+
+// The environment variable that may hold the password of a user, as VS_PASSWORD_ALICE
+const passwordVariable = (username) => `VS_PASSWORD_${username.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`
+
+// The password of a user from a username=file password file or from its environment variable
+const readPassword = (username, passwordFiles = []) => {
+  const file = [].concat(passwordFiles).map(f => String(f)).filter(f => f.startsWith(`${username}=`))[0]
+  if(!!file) {
+    return fs.readFileSync(file.slice(username.length + 1), 'utf8').replace(/\r?\n$/, '')
   }
+  return process.env[passwordVariable(username)]
+}
 
-  let definitions = await storage.getItem('definitions')
-  if(!definitions) {
-    definitions = await client.definition.list({namespace: 'virtual-server'})
-    .then(o => o.body.items)
-    .catch(_ => null)
-    await storage.setItem('definitions', definitions)
+// Files to write on first boot may be given as remotePath=localFile strings or as {path, content} objects
+const parseWriteFiles = (files) => [].concat(files).map(f => {
+  if(typeof f !== 'string') {
+    return f
+  }
+  const i = f.indexOf('=')
+  if(i <= 0) {
+    throw new Error(`Invalid file ${f}. Use remotePath=localFile.`)
   }
+  return {path: f.slice(0, i), content: fs.readFileSync(f.slice(i + 1), 'utf8')}
+})
+
+// SSH keys may be given as [username=]key strings, where key is a public key or the path of a key file
+const parseSSHKeys = (keys) => [].concat(keys).map(k => {
+  const match = String(k).match(/^([a-z_][-a-z0-9_.]*)=(.*)$/i)
+  return !!match ? {username: match[1], key: match[2]} : {key: String(k)}
+})
+
+// New disks may be given as name:size[:storageClassName] strings or as {name, size, storageClassName} objects
+const parseNewDisks = (disks) => [].concat(disks).map(d => {
+  if(typeof d !== 'string') {
+    return d
+  }
+  const [name, size, storageClassName] = d.split(':')
+  return {name, size, storageClassName}
+})
+
+// Use the value in initials as the initial answer of a question. Multiselect questions get their initial choices selected
+const withInitial = (q, initials) => {
+  if(typeof q.name !== 'string' || initials[q.name] === undefined || initials[q.name] === null) {
+    return q
+  }
+  const initial = initials[q.name]
+  if(q.type === 'multiselect') {
+    const select = choices => choices.map(c => ({...c, selected: [].concat(initial).includes(c.value)}))
+    return {...q, choices: typeof q.choices === 'function' ? (...args) => select(q.choices(...args)) : select(q.choices)}
+  }
+  return {...q, initial: Array.isArray(initial) ? initial.join(',') : initial}
+}
+
+// prompts, writing to the message stream
+const prompt = (questions, options) => prompts([].concat(questions).map(q => ({stdout: messageStream, ...q})), options)
 
+// Prompt for questions, skipping any already answered in answers. initials replace the initial answers of questions.
+// When not interactive, unanswered or invalid questions are recorded in problems instead of being prompted.
+const ask = (questions, {answers = {}, problems = [], initials = {}} = {}) => {
+  questions = questions.map(q => withInitial(q, initials))
+  prompts.override(answers)
+  return prompt(interactive ? questions : questions.map(q => ({
+    ...q,
+    type: async (prev, values, question) => {
+      const type = typeof q.type === 'function' ? await q.type(prev, values, question) : q.type
+      const name = typeof q.name === 'function' ? await q.name(prev, values, question) : q.name
+      if(!type) {
+        return type
+      }
+      if(answers[name] === undefined) {
+        problems.push(`${answerLabel(name)} is required`)
+        return null
+      }
+      const valid = !!q.validate ? q.validate(answers[name]) : true
+      if(valid !== true) {
+        problems.push(`${answerLabel(name)}: ${valid || 'invalid value'}`)
+        return null
+      }
+      return type
+    }
+  })), {onCancel})
+  .finally(() => prompts.override({}))
+}
+
+const validatePorts = v => {
+  const ps = (Array.isArray(v) ? v : String(v).split(',')).map(p => String(p).trim()).filter(p => p !== '')
+  return ps.length > 10 ? 'Maximum of 10 ports'
+  : ps.every(p => (pInt = parseInt(p), !isNaN(pInt) && pInt > 0 && pInt <= 65536)) || 'Invalid port value. 0 > port <= 65536.'
+}
+
+const formatPorts = v => [].concat(v).map(p => String(p).trim()).filter(p => p !== '').map(p => parseInt(p))
+
+// Prompts for the resources of a Virtual Server. GPU and CPU types come from the presets of the definition when definitions could be loaded
+const resourcePrompts = ({definitions}) => {
   const { 
     cpuOptions = [],
     gpuOptions = []
   } = options || {}
-
-  const pvcs = await client.pvc.list().then(o => o.body.items)
-
-  const basePrompts = [
-    {
-      type: 'text',
-      name: 'name',
-      message: 'Enter a name for your Virtual Server.',
-      validate: v => /[a-z0-9]([-a-z0-9]*[a-z0-9])?(\.[a-z0-9]([-a-z0-9]*[a-z0-9])?)*/.test(v)
-    },
-    {
-      type: 'text',
-      name: 'namespace',
-      initial: client.defaultNamespace,
-      message: 'Enter the namespace to deploy your Virtual Server to.',
-      validate: v => /[a-z0-9]([-a-z0-9]*[a-z0-9])?(\.[a-z0-9]([-a-z0-9]*[a-z0-9])?)*/.test(v)
-    },
-    {
-      type: 'autocomplete',
-      name: 'region',
-      message: 'Select a region.',
-      choices: [
-        {title: 'ORD1'},
-        {title: 'EWR1'},
-      ]
-    },
-    {
-      type: () => images.length > 0 ? 'autocomplete' : 'text',
-      name: () => images.length > 0 ? 'image' : 'imageName',
-      message: () => images.length > 0 ? 'Select an image.' : 'Enter source image PVC name for the root FS.',
-      format: v => images.length > 0 ? images.filter(i => i.metadata.name === v)[0] : v,
-      choices: images.length > 0 ? images.map(i => ({title: i.metadata.name})): null,
-      validate: v => /[a-z0-9]([-a-z0-9]*[a-z0-9])?(\.[a-z0-9]([-a-z0-9]*[a-z0-9])?)*/.test(v)
-    },
-    {
-      type: () => images.length > 0 ? null : 'text',
-      name: 'imageNamespace',
-      initial: client.defaultNamespace,
-      message: 'Enter the namespace of the source PVC for the root FS.',
-      validate: v => /[a-z0-9]([-a-z0-9]*[a-z0-9])?(\.[a-z0-9]([-a-z0-9]*[a-z0-9])?)*/.test(v)
-    },
-    {
-      type: () => images.length > 0 ? null : 'text',
-      name: 'imageSize',
-      initial: '40Gi',
-      message: 'Enter root FS PVC size',
-      validate: v => k8sValidateQuantity(v) || 'Must be a valid quantity.'
-    },
-    {
-      type: () => images.length > 0 ? null : 'text',
-      name: 'imageStorageClassName',
-      message: 'Enter root FS PVC storageClassName',
-      validate: v => /[a-z0-9]([-a-z0-9]*[a-z0-9])?(\.[a-z0-9]([-a-z0-9]*[a-z0-9])?)*/.test(v)
-    },
-    {
-      type: 'autocomplete',
-      name: 'os',
-      message: 'Select an OS.',
-      initial: (_, values) => (!!values.image) ? (values.image.metadata.name.includes('windows') ? 'windows' : 'linux') : null,
-      choices: [
-        {title: 'linux'},
-        {title: 'windows'},
-      ]
+  // The answers so far, for checking counts and memory against the limits of the selected preset
+  let selected = {}
+  const select = (values, type) => {
+    selected = values
+    return type
+  }
+  const checkPreset = (field, resources) => {
+    const preset = findPreset(selected.definition, selected)
+    // Limits that depend on a count that was not accepted are left to the closest valid configuration
+    const missingCount = (field !== 'gpuCount' && !!selected.gpu && selected.gpuCount === undefined)
+      || (field === 'memory' && !selected.gpu && selected.cpuCount === undefined)
+    if(!preset || missingCount) {
+      return true
     }
-  ]
-
-  resourcePrompts = [
+    const error = checkResources(preset, {gpuCount: selected.gpuCount, cpuCount: selected.cpuCount, ...resources}).filter(e => e.field === field)[0]
+    return !error || error.message
+  }
+  return [
     {
       type: () => (!!definitions) ? 'autocomplete' : 'text',
       name: 'definition',
       message: () => (!!definitions) ? 'Select a definition.' : 'Enter a definition.',
-      validate: v => /[a-z0-9]([-a-z0-9]*[a-z0-9])?(\.[a-z0-9]([-a-z0-9]*[a-z0-9])?)*/.test(v),
+      validate: v => (!!definitions)
+        ? definitions.some(d => d.spec.alias === v) || 'Unknown definition.'
+        : /[a-z0-9]([-a-z0-9]*[a-z0-9])?(\.[a-z0-9]([-a-z0-9]*[a-z0-9])?)*/.test(v),
       choices: (!!definitions) ? definitions.map(d => ({title: d.spec.alias})) : [],
       format: v => (!!definitions) ? definitions.filter(d => d.spec.alias === v)[0] : {spec: {alias: v} }
     },
@@ -167,12 +342,13 @@ const main = async() => {
       }
     },
     {
-      type: (_, values) => (!!values.gpu) ? 'number' : null,
+      type: (_, values) => select(values, (!!values.gpu) ? 'number' : null),
       name: 'gpuCount',
       initial: 1,
       min: 1,
       increment: 1,
-      message: 'Select a number of GPU(s).'
+      message: 'Select a number of GPU(s).',
+      validate: v => checkPreset('gpuCount', {gpuCount: v})
     },
     {
       type: (_, values) => values.systemType ? null : 'autocomplete',
@@ -185,18 +361,19 @@ const main = async() => {
       }
     },
     {
-      type: 'number',
+      type: (_, values) => select(values, 'number'),
       initial: 1,
       min: 1,
       name: 'cpuCount',
-      message: 'Select a number of CPU(s).'
+      message: 'Select a number of CPU(s).',
+      validate: v => checkPreset('cpuCount', {cpuCount: v})
     },
     {
-      type: 'text',
+      type: (_, values) => select(values, 'text'),
       name: 'memory',
       message: 'Enter memory amount.',
-      initial: '1Gi',
-      validate: v => k8sValidateQuantity(v) || 'Must be a valid quantity.'
+      initial: config.memory,
+      validate: v => !k8sValidateQuantity(v) ? 'Must be a valid quantity.' : checkPreset('memory', {memory: v})
     },
     {
       type: 'toggle',
@@ -209,25 +386,165 @@ const main = async() => {
       type: (_, values) => values.addSwap ? 'text' : null,
       name: 'swap',
       message: 'Enter swap amount.',
-      initial: '1Gi',
+      initial: config.swap,
       validate: v => k8sValidateQuantity(v) || 'Must be a valid quantity.'
     },
   ]
+}
 
-  const baseResponse = await prompts(basePrompts, {onCancel})
-  const resouceResponse = await prompts(resourcePrompts, {onCancel})
+// Prompts for the size and storage class of the root disk. A root disk cloned from image may grow, but not shrink
+const rootPrompts = ({image, storageClasses = [], allStorageClasses = []}) => {
+  const sourceSize = !!image ? image.spec.resources.requests.storage : null
+  const choices = [...new Set([...(!!image ? [image.spec.storageClassName] : []), ...storageClasses])]
+  return [
+    {
+      type: 'text',
+      name: 'imageSize',
+      initial: sourceSize || config.rootSize,
+      message: !!image ? `Enter root disk size. The image is ${sourceSize}.` : 'Enter root FS PVC size',
+      validate: v => !k8sValidateQuantity(v) ? 'Must be a valid quantity.'
+        : (!sourceSize || parseQuantity(v) >= parseQuantity(sourceSize)) || `Must be at least ${sourceSize}, the size of the image.`
+    },
+    {
+      type: choices.length > 0 ? 'autocomplete' : 'text',
+      name: 'imageStorageClassName',
+      initial: !!image ? image.spec.storageClassName : undefined,
+      message: choices.length > 0 ? 'Select a storage class for the root disk.' : 'Enter root FS PVC storageClassName',
+      choices: choices.map(sc => ({title: sc})),
+      validate: v => allStorageClasses.length > 0
+        ? [...allStorageClasses, ...choices].includes(v) || 'Unknown storage class.'
+        : /[a-z0-9]([-a-z0-9]*[a-z0-9])?(\.[a-z0-9]([-a-z0-9]*[a-z0-9])?)*/.test(v)
+    }
+  ]
+}
 
-  const services = await client.service.list({namespace: baseResponse.namespace}).then(o => o.body.items)
+// Prompts for the network of a Virtual Server. services are offered as floating IPs. When services is null any service name is taken
+const networkPrompts = ({services}) => [
+  {
+    type: 'toggle',
+    name: 'directAttach',
+    active: 'true',
+    inactive: 'false',
+    message: 'Direct attach load balancer?'
+  },
+  {
+    type: (_, values) => values.directAttach ? null : 'list',
+    name: 'tcpPorts',
+    message: 'Enter a list of tcp ports to expose.',
+    format: formatPorts,
+    validate: validatePorts
+  },
+  {
+    type: (_, values) => values.directAttach ? null : 'list',
+    name: 'udpPorts',
+    message: 'Enter a list of udp ports to expose.',
+    format: formatPorts,
+    validate: validatePorts
+  },
+  {
+    type: 'multiselect',
+    name: 'floatingIPs',
+    instructions: false,
+    hint: '- Space to select. Return to submit',
+    message: 'Select any number of floating IP services.',
+    choices: (services || []).map(s => ({title: s.metadata.name, value: s.metadata.name})),
+    validate: v => !services || [].concat(v).every(f => services.some(s => s.metadata.name === f)) || 'Unknown floating IP service.',
+    format: v => [].concat(v).map(f => (services || []).filter(s => s.metadata.name === f)[0] || {metadata: {name: f}})
+  },
+  {
+    type: (_, values) => values.directAttach || (values.tcpPorts || []).length > 0 || (values.udpPorts || []).length > 0 ? 'toggle' : null,
+    name: 'public',
+    active: 'true',
+    inactive: 'false',
+    message: 'Create a public IP?',
+  }
+]
 
-  let users = []
-  for(i=0; (await prompts({
+// Prompt for users to add to a Virtual Server, starting from current.
+// Users and SSH keys given in answers are used as they are
+const promptUsers = async ({answers = {}, problems = [], current = []} = {}) => {
+  if(answers.users !== undefined) {
+    const sshKeys = answers.sshKeys !== undefined ? parseSSHKeys(answers.sshKeys) : []
+    const given = parseUsers(answers.users)
+    given.filter(u => u.username.includes(':'))
+    .forEach(u => problems.push(`${answerLabel('users')}: ${u.username.split(':')[0]} has a password in --user. Use --password-file, ${passwordVariable(u.username.split(':')[0])} or the password prompt instead`))
+    let users = []
+    for(const u of given.filter(u => !u.username.includes(':'))) {
+      if(!!u.password) {
+        users = [...users, u]
+        continue
+      }
+      let password
+      try {
+        password = readPassword(u.username, answers.passwordFiles)
+      } catch(err) {
+        problems.push(`${answerLabel('passwordFiles')}: ${err.message}`)
+      }
+      users = [...users, !!password ? {...u, password} : u]
+    }
+    users = users.map(u => {
+      const keys = sshKeys.filter(k => !k.username || k.username === u.username).map(k => k.key)
+      const key = keys[0] || u.sshpublickey
+      if(!key) {
+        return u
+      }
+      try {
+        return {...u, sshpublickey: readSSHKey(key)}
+      } catch(err) {
+        problems.push(`${answerLabel('sshKeys')}: ${err.message}`)
+        return u
+      }
+    })
+    sshKeys.filter(k => !!k.username && !users.some(u => u.username === k.username))
+    .forEach(k => problems.push(`${answerLabel('sshKeys')}: ${k.username} is not a user`))
+    // Users without a password from a file or the environment, or an SSH key, are asked for one
+    let prompted = []
+    for(const u of users) {
+      if(hasCredentials(u) || !interactive) {
+        prompted = [...prompted, u]
+        continue
+      }
+      const {password} = await prompt({
+        type: 'password',
+        name: 'password',
+        message: `Enter a password for ${u.username}.`,
+        validate: v => v !== '' || 'A password is required.'
+      }, {onCancel})
+      prompted = [...prompted, {...u, password}]
+    }
+    users = prompted
+    users.filter(u => !hasCredentials(u))
+    .forEach(u => problems.push(`${answerLabel('users')}: ${u.username} needs a password (--password-file or ${passwordVariable(u.username)}) or an SSH key (--ssh-key)`))
+    return users
+  }
+  let users = current
+  if(interactive && current.length > 0) {
+    users = (await prompt({
+      type: 'multiselect',
+      name: 'keep',
+      instructions: false,
+      hint: '- Space to select. Return to submit',
+      message: 'Select the users to keep.',
+      choices: current.map(u => ({title: u.username, value: u, selected: true}))
+    }, {onCancel})).keep
+  }
+  const keyFiles = sshKeyFiles()
+  const validateKey = v => {
+    try {
+      readSSHKey(v)
+      return true
+    } catch(err) {
+      return err.message
+    }
+  }
+  while(interactive && (await prompt({
     type: 'toggle',
     name: 'addUser',
     active: 'true',
     inactive: 'false',
-    message: `Add ${i === 0 ? 'a' : 'another'} User?`
-  }, {onCancel})).addUser; i++) {
-    userPrompts = [
+    message: `Add ${users.length === 0 ? 'a' : 'another'} User?`
+  }, {onCancel})).addUser) {
+    const userPrompts = [
       {
         type: 'text',
         name: 'username',
@@ -235,194 +552,1903 @@ const main = async() => {
         validate: v => users.every(u => u.username !== v) || 'User already added.'
       },
       {
-        type: 'password',
+        type: 'select',
+        name: 'auth',
+        message: 'Select how the user signs in.',
+        choices: [
+          {title: 'Password', value: 'password'},
+          {title: 'SSH key', value: 'sshpublickey'},
+          {title: 'Password and SSH key', value: 'both'}
+        ]
+      },
+      {
+        type: (_, values) => values.auth !== 'sshpublickey' ? 'password' : null,
         name: 'password',
         message: 'Enter a password.',
+        validate: v => v !== '' || 'A password is required.'
+      },
+      {
+        type: (_, values) => values.auth !== 'password' && keyFiles.filter(f => validateKey(f) === true).length > 0 ? 'select' : null,
+        name: 'keyFile',
+        message: 'Select an SSH public key.',
+        choices: [
+          ...keyFiles.filter(f => validateKey(f) === true).map(f => ({title: f, value: f})),
+          {title: 'Another key or key file', value: ''}
+        ]
+      },
+      {
+        type: (_, values) => values.auth !== 'password' && !values.keyFile ? 'text' : null,
+        name: 'sshpublickey',
+        message: 'Enter an SSH public key or the path of a key file.',
+        validate: validateKey,
+        format: readSSHKey
       }
     ]
     let cancelled = false
-    const user = await prompts(userPrompts, {onCancel: () => cancelled = true})
+    const {auth, keyFile, ...user} = await prompt(userPrompts, {onCancel: () => cancelled = true})
     if(cancelled) break
-    users = [...users, user]
+    users = [...users, !!keyFile ? {...user, sshpublickey: readSSHKey(keyFile)} : user]
   }
+  return users
+}
 
-  networkPrompts = [
-    {
-      type: 'toggle',
-      name: 'directAttach',
-      active: 'true',
-      inactive: 'false',
-      message: 'Direct attach load balancer?'
-    },
-    {
-      type: (_, values) => values.directAttach ? null : 'list',
-      name: 'tcpPorts',
-      message: 'Enter a list of tcp ports to expose.',
-      format: v => v.filter(v => v !== '').map(v => parseInt(v)),
-      validate: v => {
-        const ps = v.split(',').filter(v => v !== '')
-        return ps.length > 10 ? 'Maximum of 10 ports'
-        : ps.every(p => (pInt = parseInt(p), pInt !== NaN && pInt > 0 && pInt <= 65536)) || 'Invalid port value. 0 > port <= 65536.'
+// Prompt for the cloud-init user-data of a Virtual Server. Resolves to null when there is none
+const promptCloudInit = async ({answers = {}, problems = []} = {}) => {
+  let response = {}
+  if(['cloudInit', 'packages', 'runcmd', 'writeFiles'].some(k => answers[k] !== undefined)) {
+    try {
+      response = {
+        userData: !!answers.cloudInit ? readCloudInit(answers.cloudInit) : null,
+        packages: [].concat(answers.packages || []).map(String),
+        runcmd: [].concat(answers.runcmd || []),
+        writeFiles: parseWriteFiles(answers.writeFiles || [])
       }
-    },
-    {
-      type: (_, values) => values.directAttach ? null : 'list',
-      name: 'udpPorts',
-      message: 'Enter a list of udp ports to expose.',
-      format: v => v.filter(v => v !== '').map(v => parseInt(v)),
-      validate: v => {
-        const ps = v.split(',').filter(v => v !== '')
-        return ps.length > 10 ? 'Maximum of 10 ports'
-        : ps.every(p => (pInt = parseInt(p), pInt !== NaN && pInt > 0 && pInt <= 65536)) || 'Invalid port value. 0 > port <= 65536.'
+    } catch(err) {
+      problems.push(`${answerLabel('cloudInit')}: ${err.message}`)
+      return null
+    }
+  } else if(interactive && (await prompt({
+    type: 'toggle',
+    name: 'addCloudInit',
+    active: 'true',
+    inactive: 'false',
+    message: 'Add cloud-init configuration for the first boot?'
+  }, {onCancel})).addCloudInit) {
+    response = await prompt([
+      {
+        type: 'text',
+        name: 'userData',
+        message: 'Enter the path of a user-data file. Leave empty for none.',
+        validate: v => {
+          if(v === '') {
+            return true
+          }
+          try {
+            const errors = validateCloudInit(readCloudInit(v))
+            return errors.length === 0 || `The user-data ${errors.join(', ')}.`
+          } catch(err) {
+            return err.message
+          }
+        },
+        format: v => v === '' ? null : readCloudInit(v)
+      },
+      {
+        type: 'list',
+        name: 'packages',
+        message: 'Enter packages to install, separated by commas.',
+        format: v => v.filter(p => p !== '')
       }
-    },
-    {
-      type: 'multiselect',
-      name: 'floatingIPs',
-      instructions: false,
-      hint: '- Space to select. Return to submit',
-      message: 'Select any number of floating IP services.',
-      choices: services.map(s => s.metadata.name),
-      format: v => v.map(v => services[v])
-    },
-    {
-      type: (_, values) => values.directAttach || values.tcpPorts.length > 0 || values.udpPorts.length > 0 ? 'toggle' : null,
-      name: 'public',
-      active: 'true',
-      inactive: 'false',
-      message: 'Create a public IP?',
+    ], {onCancel})
+    response.runcmd = []
+    for(let command; (command = (await prompt({
+      type: 'text',
+      name: 'command',
+      message: 'Enter a command to run on first boot. Leave empty to finish.'
+    }, {onCancel})).command) !== '';) {
+      response.runcmd = [...response.runcmd, command]
     }
-  ]
-
-  const storagePrompts = [
-    {
-      type: 'multiselect',
-      name: 'additionalFS',
-      instructions: false,
-      hint: '- Space to select. Return to submit',
-      message: 'Select any number of pvcs to be mounted as filesystems.',
-      choices: pvcs.map(s => s.metadata.name),
-      format: v => v.map(v => pvcs[v])
+    response.writeFiles = []
+    for(let file; (file = (await prompt({
+      type: 'text',
+      name: 'file',
+      message: 'Enter a file to write on first boot, as remotePath=localFile. Leave empty to finish.',
+      validate: v => {
+        if(v === '') {
+          return true
+        }
+        try {
+          parseWriteFiles(v)
+          return true
+        } catch(err) {
+          return err.message
+        }
+      }
+    }, {onCancel})).file) !== '';) {
+      response.writeFiles = [...response.writeFiles, ...parseWriteFiles(file)]
     }
-  ]
-  const networkResponse = await prompts(networkPrompts, {onCancel})
-  // const storageResponse = await prompts(storagePrompts, {onCancel})
-
-  const vs = buildVS({baseResponse, resouceResponse, users, networkResponse})
-  if(!await applyVS(vs)) {
-    return
   }
-
-  const templateResponse = await prompts([
-    {
-    type: 'toggle',
-    name: 'confirmSaveTemplate',
-    active: 'yes',
-    inactive: 'no',
-    message: 'Would you like to save this configuration as a template?'
-    },
-    {
-      type: (_, values) => values.confirmSaveTemplate ? 'text' : null,
-      name: 'name',
-      initial: vs.metadata.name,
-      validate: v => (!!templates[v]) ? 'Template name already taken.' : true,
-      message: 'Enter a name for the template.'
-    }],
-    {onCancel}
-  )
-  if(templateResponse.confirmSaveTemplate) {
-    console.log(`Saving template ${templateResponse.name}...`.green)
-    await storage.setItem('_templates', {...templates, [templateResponse.name]: vs}, {ttl: false})
-    console.log(`Template saved`.green)
+  let userData = null
+  try {
+    userData = buildCloudInit(response)
+  } catch(err) {
+    problems.push(`${answerLabel('cloudInit')}: ${err.message}`)
+    return null
   }
+  if(!!userData) {
+    validateCloudInit(userData).forEach(e => problems.push(`${answerLabel('cloudInit')}: the user-data ${e}`))
+  }
+  return userData
 }
 
-const applyVS = async(vs) => {
-  const price = priceVS({options, vs})
-  console.log(util.inspect(vs, false, null, true))
-  if(!!price) { 
-    console.log(`Your Virtual Server will cost approximately $${price}/hour on Coreweave Cloud.`.green)
+// Ask whether to keep the credentials of users in a Secret, unless answered already.
+// Only offered when the VirtualServer CRD accepts references to a Secret, or cannot be checked before a dry run
+const promptCredentialsSecret = async ({answers = {}, users = [], problems = []} = {}) => {
+  const accepted = secretCredentialsAccepted() !== false
+  if(answers.credentialsSecret !== undefined) {
+    if(!!answers.credentialsSecret && !accepted) {
+      problems.push(`${answerLabel('credentialsSecret')}: the installed VirtualServer CRD does not accept ${secretKeyRefs.join(' and ')} on users`)
+      return false
+    }
+    return !!answers.credentialsSecret
+  }
+  if(!interactive || !accepted || !users.some(u => !!u.password || !!u.sshpublickey)) {
+    return false
   }
-  const confirmVS = (await prompts({
+  return (await prompt({
     type: 'toggle',
-    name: 'confirmVS',
+    name: 'credentialsSecret',
     active: 'yes',
     inactive: 'no',
-    message: 'Please confirm the Virtual Server spec above.'
-  }, {onCancel})).confirmVS
+    message: 'Keep user credentials in a Secret instead of the Virtual Server spec?'
+  }, {onCancel})).credentialsSecret
+}
 
-  const applyFunc = async () => {
-    console.log(`Creating your Virtual Server: ${vs.metadata.namespace}/${vs.metadata.name}...`.green)
-    const createSuccess = await client.virtualServer.create(vs)
-    .then(o => {
-      if(o.statusCode === 201) {
-        console.log('Virtual Server Created!'.green)
-        console.log(`Run 'kubectl -n ${vs.metadata.namespace} get vs ${vs.metadata.name}' to check out your new Virtual Server`)
-        return true
-      } else {
-        console.log(`An unknown error occured. Code: ${o.statusCode}`.red)
-        return false
-      } 
-    })
-    .catch(err => {
-      console.log(`An error occured while creating the Virtual Server. ${err.message}`.red)
-      return false
-    })
-    if(!createSuccess) {
-      const tryAgain = (await prompts({
-        type: 'toggle',
-        name: 'tryAgain',
-        active: 'yes',
-        inactive: 'no',
-        message: 'Try again?'
-      }, {onCancel})).tryAgain
-      console.log(tryAgain)
-      if(tryAgain) {
-        return applyFunc()
-      }
+// Load the source image PVCs, from the cache when possible. Resolves to an empty list when they cannot be listed
+const loadImages = async () => {
+  const key = `images:${client.context}/${config.imageNamespace}`
+  let images = await storage.getItem(key)
+  if(!images) {
+    images = await client.image.list({namespace: config.imageNamespace})
+    .then(o => o.body.items)
+    .catch(_ => null)
+    if(!images) {
+      return []
     }
-
-    return true
+    await storage.setItem(key, images)
   }
+  return images
+}
 
-  if(confirmVS) {
-    return applyFunc()
+// Load the resource definitions, from the cache when possible. Resolves to null when they cannot be listed
+const loadDefinitions = async () => {
+  const key = `definitions:${client.context}/${config.definitionNamespace}`
+  let definitions = await storage.getItem(key)
+  if(!definitions) {
+    definitions = await client.definition.list({namespace: config.definitionNamespace})
+    .then(o => o.body.items)
+    .catch(_ => null)
+    await storage.setItem(key, definitions)
   }
-  return false
+  return definitions
 }
 
-const buildVS = ({
+const main = async(argv = {}) => {
+  messages.log("Let's create a new Virtual Server.".green)
+  interactive = argv.interactive !== false
+  let answers = {}
+  try {
+    answers = loadAnswers(argv)
+  } catch(err) {
+    messages.log(`Unable to read answers file ${argv.answers}. ${err.message}`.red)
+    process.exitCode = 1
+    return
+  }
+  const catalog = imageCatalog(await loadImages())
+  const definitions = await loadDefinitions()
+  const problems = []
+
+  if(catalog.length === 0 && answers.image !== undefined && answers.imageName === undefined) {
+    answers.imageName = answers.image
+  } else if(answers.image !== undefined) {
+    // An image given by name pins its version
+    const found = findImage(catalog, answers.image)
+    if(!!found) {
+      answers = {...answers, imageFamily: found.family, imageVersion: found.version}
+    } else {
+      problems.push(`${answerLabel('image')}: Unknown image ${answers.image}`)
+    }
+  }
+  if(answers.systemType === undefined && (answers.gpu !== undefined || answers.cpu !== undefined)) {
+    answers.systemType = answers.gpu !== undefined
+  }
+  if(answers.addSwap === undefined && answers.swap !== undefined) {
+    answers.addSwap = true
+  }
+  if(!interactive) {
+    answers = {
+      namespace: client.defaultNamespace,
+      imageNamespace: client.defaultNamespace,
+      os: (answers.imageFamily || answers.imageName || '').includes('windows') ? 'windows' : 'linux',
+      imageVersion: 'latest',
+      systemType: false,
+      gpuCount: 1,
+      cpuCount: 1,
+      memory: config.memory,
+      addSwap: false,
+      directAttach: false,
+      tcpPorts: [],
+      udpPorts: [],
+      floatingIPs: [],
+      public: false,
+      filesystems: [],
+      disks: [],
+      newDisks: [],
+      ...answers
+    }
+  }
+
+  // The family selected, for checking the version against it
+  let imageFamily = null
+  const basePrompts = [
+    {
+      type: 'text',
+      name: 'name',
+      message: 'Enter a name for your Virtual Server.',
+      validate: v => /[a-z0-9]([-a-z0-9]*[a-z0-9])?(\.[a-z0-9]([-a-z0-9]*[a-z0-9])?)*/.test(v)
+    },
+    {
+      type: 'text',
+      name: 'namespace',
+      initial: client.defaultNamespace,
+      message: 'Enter the namespace to deploy your Virtual Server to.',
+      validate: v => /[a-z0-9]([-a-z0-9]*[a-z0-9])?(\.[a-z0-9]([-a-z0-9]*[a-z0-9])?)*/.test(v)
+    },
+    {
+      type: 'autocomplete',
+      name: 'region',
+      message: 'Select a region.',
+      choices: config.regions.map(r => ({title: r}))
+    },
+    {
+      type: () => catalog.length > 0 ? 'autocomplete' : 'text',
+      name: () => catalog.length > 0 ? 'imageFamily' : 'imageName',
+      message: () => catalog.length > 0 ? 'Select an image family.' : 'Enter source image PVC name for the root FS.',
+      choices: catalog.length > 0 ? catalog.map(f => ({title: f.family})) : null,
+      validate: v => catalog.length > 0
+        ? catalog.some(f => f.family === v) || 'Unknown image family.'
+        : /[a-z0-9]([-a-z0-9]*[a-z0-9])?(\.[a-z0-9]([-a-z0-9]*[a-z0-9])?)*/.test(v)
+    },
+    {
+      type: (_, values) => {
+        imageFamily = values.imageFamily
+        return catalog.length > 0 ? 'select' : null
+      },
+      name: 'imageVersion',
+      message: 'Select a version.',
+      // Choosing latest, rather than the newest version, keeps templates on the latest of the family
+      choices: (_, values) => {
+        const {versions = []} = catalog.filter(f => f.family === values.imageFamily)[0] || {}
+        const describe = v => `${v.image.spec.resources.requests.storage}, ${v.image.spec.storageClassName}`
+        return versions.length === 0 ? [] : [
+          {title: `latest (${versions[0].version || versions[0].image.metadata.name}, ${describe(versions[0])})`, value: 'latest'},
+          ...versions.filter(v => !!v.version).map(v => ({title: `${v.version} (${describe(v)})`, value: v.version}))
+        ]
+      },
+      validate: v => !catalog.some(f => f.family === imageFamily) || !!resolveImage(catalog, imageFamily, v) || 'Unknown version.'
+    },
+    {
+      type: () => catalog.length > 0 ? null : 'text',
+      name: 'imageNamespace',
+      initial: client.defaultNamespace,
+      message: 'Enter the namespace of the source PVC for the root FS.',
+      validate: v => /[a-z0-9]([-a-z0-9]*[a-z0-9])?(\.[a-z0-9]([-a-z0-9]*[a-z0-9])?)*/.test(v)
+    },
+    {
+      type: 'autocomplete',
+      name: 'os',
+      message: 'Select an OS.',
+      initial: (_, values) => (!!values.imageFamily) ? (values.imageFamily.includes('windows') ? 'windows' : 'linux') : null,
+      choices: [
+        {title: 'linux'},
+        {title: 'windows'},
+      ]
+    }
+  ]
+
+  const baseResponse = await ask(basePrompts, {answers, problems})
+  if(!!baseResponse.imageFamily) {
+    baseResponse.image = resolveImage(catalog, baseResponse.imageFamily, baseResponse.imageVersion)
+  }
+  const allStorageClasses = await client.storageClass.list()
+  .then(o => o.body.items.map(sc => sc.metadata.name))
+  .catch(_ => [])
+  // Prefer the storage classes of the selected region
+  const regionalStorageClasses = allStorageClasses.filter(sc => !!baseResponse.region && sc.endsWith(`-${baseResponse.region.toLowerCase()}`))
+  const storageClasses = regionalStorageClasses.length > 0 ? regionalStorageClasses : allStorageClasses
+  // The root disk starts from the size and storage class of the image
+  const rootDefaults = {
+    imageSize: !!baseResponse.image ? baseResponse.image.spec.resources.requests.storage : config.rootSize,
+    ...(!!baseResponse.image ? {imageStorageClassName: baseResponse.image.spec.storageClassName} : {})
+  }
+  Object.assign(baseResponse, await ask(rootPrompts({image: baseResponse.image, storageClasses, allStorageClasses}), {
+    answers: interactive ? answers : {...rootDefaults, ...answers},
+    problems
+  }))
+  const resouceResponse = await ask(resourcePrompts({definitions}), {answers, problems})
+  // Interactive answers are re-prompted until valid, so only flags given as they are need a suggestion
+  const suggestion = !interactive && suggestResources(resouceResponse, answers)
+  if(!!suggestion) {
+    problems.push(suggestion)
+  }
+
+  // A dry run does without the services and PVCs when they cannot be listed, taking the names given as they are
+  const listChoices = request => request.then(o => o.body.items).catch(err => argv.dryRun ? null : Promise.reject(err))
+  const services = await listChoices(client.service.list({namespace: baseResponse.namespace}))
+  const pvcs = await listChoices(client.pvc.list({namespace: baseResponse.namespace}))
+
+  const users = await promptUsers({answers, problems})
+  const credentialsSecret = await promptCredentialsSecret({answers, users, problems})
+
+  const pvcChoices = (pvcs || []).map(p => ({title: `${p.metadata.name} (${p.spec.resources.requests.storage})`, value: p.metadata.name}))
+  const pvcsByName = v => [].concat(v).map(n => (pvcs || []).filter(p => p.metadata.name === n)[0] || {metadata: {name: n}})
+  const validatePVCs = v => !pvcs || [].concat(v).every(n => pvcs.some(p => p.metadata.name === n)) || 'Unknown PVC.'
+  const storagePrompts = [
+    {
+      type: 'multiselect',
+      name: 'filesystems',
+      instructions: false,
+      hint: '- Space to select. Return to submit',
+      message: 'Select any number of pvcs to be mounted as filesystems.',
+      choices: pvcChoices,
+      validate: validatePVCs,
+      format: pvcsByName
+    },
+    {
+      type: (_, values) => !pvcs || pvcChoices.some(c => !(values.filesystems || []).some(p => p.metadata.name === c.value)) ? 'multiselect' : null,
+      name: 'disks',
+      instructions: false,
+      hint: '- Space to select. Return to submit',
+      message: 'Select any number of pvcs to be attached as block disks.',
+      choices: (_, values) => pvcChoices.filter(c => !(values.filesystems || []).some(p => p.metadata.name === c.value)),
+      validate: validatePVCs,
+      format: pvcsByName
+    }
+  ]
+  const networkResponse = await ask(networkPrompts({services}), {answers, problems})
+  const storageResponse = await ask(storagePrompts, {answers, problems})
+
+  let newDisks = []
+  if(answers.newDisks !== undefined) {
+    newDisks = parseNewDisks(answers.newDisks)
+    newDisks.forEach(d => {
+      if(!d.name || !k8sValidateQuantity(d.size)) {
+        problems.push(`${answerLabel('newDisks')}: ${d.name || 'unnamed disk'} needs a name and a valid size`)
+      }
+    })
+  } else for(let i = 0; interactive && (await prompt({
+    type: 'toggle',
+    name: 'addDisk',
+    active: 'true',
+    inactive: 'false',
+    message: `Add ${i === 0 ? 'a' : 'another'} new blank disk?`
+  }, {onCancel})).addDisk; i++) {
+    const diskPrompts = [
+      {
+        type: 'text',
+        name: 'name',
+        message: 'Enter a name for the disk.',
+        initial: `disk-${i + 1}`,
+        validate: v => !/^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/.test(v) ? 'Must be a valid name.'
+          : newDisks.every(d => d.name !== v) || 'Disk already added.'
+      },
+      {
+        type: 'text',
+        name: 'size',
+        message: 'Enter disk size.',
+        initial: '10Gi',
+        validate: v => k8sValidateQuantity(v) || 'Must be a valid quantity.'
+      },
+      {
+        type: storageClasses.length > 0 ? 'autocomplete' : 'text',
+        name: 'storageClassName',
+        message: storageClasses.length > 0 ? 'Select a storage class.' : 'Enter a storage class.',
+        choices: storageClasses.map(sc => ({title: sc}))
+      }
+    ]
+    let cancelled = false
+    const disk = await prompt(diskPrompts, {onCancel: () => cancelled = true})
+    if(cancelled) break
+    newDisks = [...newDisks, disk]
+  }
+
+  const cloudInit = await promptCloudInit({answers, problems})
+
+  if(problems.length > 0) {
+    messages.log(`Missing or invalid answers:\n\t${problems.join('\n\t')}`.red)
+    process.exitCode = 1
+    return
+  }
+
+  let names = []
+  try {
+    names = checkNames(bulkNames(baseResponse.name, argv))
+  } catch(err) {
+    messages.log(err.message.red)
+    process.exitCode = 1
+    return
+  }
+  // Each Virtual Server of a bulk creation gets its own disks and Secret, named after it
+  const builds = names.map(name => {
+    const vs = buildVS({baseResponse: {...baseResponse, name}, resouceResponse, storageResponse: {...storageResponse, newDisks}, users, networkResponse, cloudInit})
+    return {vs, disks: buildDisks({vs, newDisks})}
+  })
+  const deploys = credentialsSecret ? builds.map(b => ({...b, ...splitCredentials(b.vs)})) : builds
+  if(argv.dryRun) {
+    writeBuilds(deploys, argv)
+    return
+  }
+  if(deploys.length > 1 || argv.count !== undefined) {
+    await applyBulk(deploys, argv)
+    return
+  }
+  const [{vs: deployVS, disks, secret}] = deploys
+  if(!await applyVS(deployVS, {disks, secret})) {
+    return
+  }
+  if(argv.wait && !await waitVS({...argv, ...deployVS.metadata})) {
+    return
+  }
+  if(!interactive) {
+    return
+  }
+
+  const templateResponse = await prompt([
+    {
+    type: 'toggle',
+    name: 'confirmSaveTemplate',
+    active: 'yes',
+    inactive: 'no',
+    message: 'Would you like to save this configuration as a template?'
+    },
+    {
+      type: (_, values) => values.confirmSaveTemplate ? 'text' : null,
+      name: 'name',
+      initial: deployVS.metadata.name,
+      validate: v => (!!templates[v]) ? 'Template name already taken.' : true,
+      message: 'Enter a name for the template.'
+    }],
+    {onCancel}
+  )
+  if(templateResponse.confirmSaveTemplate) {
+    messages.log(`Saving template ${templateResponse.name}...`.green)
+    // A template made from the latest version of a family follows the family, instead of pinning the version.
+    // It keeps the credentials inline, as they were answered, rather than references to the Secret of this server
+    const image = baseResponse.imageVersion === 'latest' ? {image: {family: baseResponse.imageFamily}} : {}
+    await saveTemplates({...templates, [templateResponse.name]: {...builds[0].vs, metadata: deployVS.metadata, ...image}})
+    messages.log(`Template saved`.green)
+  }
+}
+
+// The fields of a Virtual Server counted by each resource of a quota, without its requests. or limits. prefix
+const quotaFields = {
+  'memory': 'spec.resources.memory',
+  'cpu': 'spec.resources.cpu.count',
+  'nvidia.com/gpu': 'spec.resources.gpu.count',
+  'storage': 'spec.storage.root.size'
+}
+
+// Ask for new values of the fields a failed create points at. Resolves to a copy of vs with the new values,
+// to null when the error cannot be fixed by changing vs, or to undefined when it does not point at anything to change
+const promptFix = async (vs, err) => {
+  const current = path => {
+    const value = getField(vs, path)
+    return (value === undefined || value === null) ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value)
+  }
+  const askFields = async (fields) => {
+    let fixed = vs
+    for(const {field, message} of fields) {
+      const {value} = await prompt({
+        type: 'text',
+        name: 'value',
+        message: `${field}: ${message} Enter a new value.`,
+        initial: current(field),
+        validate: v => {
+          try {
+            applySet(vs, `${field}=${v}`)
+            return v !== current(field) || 'Enter a different value.'
+          } catch(e) {
+            return e.message
+          }
+        }
+      }, {onCancel})
+      fixed = applySet(fixed, `${field}=${value}`)
+    }
+    return fixed
+  }
+  if(err instanceof AlreadyExistsError) {
+    const {name} = await prompt({
+      type: 'text',
+      name: 'name',
+      message: `Virtual Server ${vs.metadata.name} already exists in ${vs.metadata.namespace}. Enter another name.`,
+      validate: v => !/^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/.test(v) ? 'Must be a valid name.'
+        : v !== vs.metadata.name || 'Enter a different name.'
+    }, {onCancel})
+    return {...vs, metadata: {...vs.metadata, name}}
+  }
+  if(err instanceof InvalidError) {
+    const fields = err.causes.filter(c => !!c.field).map(c => ({field: c.field, message: `${c.message}.`}))
+    return fields.length > 0 ? askFields(fields) : null
+  }
+  if(err instanceof QuotaExceededError) {
+    const fields = err.resources
+    .map(r => ({field: quotaFields[r.resource.replace(/^(requests|limits)\./, '')], message: `Quota ${err.quota} allows ${r.limited} of ${r.resource}, ${r.used} is used and ${r.requested} was requested.`}))
+    .filter(f => !!f.field)
+    return fields.length > 0 ? askFields(fields) : null
+  }
+  if(err instanceof ForbiddenError) {
+    messages.log(`Your account is not allowed to create Virtual Servers in ${vs.metadata.namespace}. Check its role bindings, or use another namespace with -n.`.yellow)
+    return null
+  }
+  return undefined
+}
+
+// The new disks of vs, and its claims of them, named after vs again once it is renamed
+const renameDisks = (vs, disks) => {
+  const storage = vs.spec.storage || {}
+  const names = {}
+  const additionalDisks = (storage.additionalDisks || []).map(a => {
+    const claim = (a.spec || {}).persistentVolumeClaim || {}
+    if(!disks.some(d => d.metadata.name === claim.claimName)) {
+      return a
+    }
+    names[claim.claimName] = diskClaimName(vs.metadata.name, a)
+    return {...a, spec: {...a.spec, persistentVolumeClaim: {...claim, claimName: names[claim.claimName]}}}
+  })
+  return {
+    vs: {...vs, spec: {...vs.spec, storage: {...storage, additionalDisks}}},
+    disks: disks.map(d => ({...d, metadata: {...d.metadata, name: names[d.metadata.name] || d.metadata.name}}))
+  }
+}
+
+// Print a Virtual Server, the disks and Secret created with it, and what count of them cost
+const previewVS = (vs, {disks = [], secret = null, count = 1} = {}) => {
+  const price = priceVS({options, vs, disks})
+  disks.forEach(d => messages.log(util.inspect(d, false, null, true)))
+  if(!!secret) {
+    // Show which credentials go into the Secret, not their values
+    const redacted = Object.keys(secret.stringData).reduce((acc, k) => ({...acc, [k]: '<redacted>'}), {})
+    messages.log(util.inspect({...secret, stringData: redacted}, false, null, true))
+  }
+  messages.log(util.inspect(vs, false, null, true))
+  if(price.items.length > 0) {
+    messages.log(formatTable(priceRows(price)))
+    messages.log((count > 1
+      ? `Each Virtual Server will cost approximately ${money(price.hourly)}/hour, ${money(price.hourly * count)}/hour (${money(price.monthly * count)}/month) for all ${count} on Coreweave Cloud.`
+      : `Your Virtual Server will cost approximately ${money(price.hourly)}/hour (${money(price.monthly)}/month) on Coreweave Cloud.`).green)
+  }
+  messages.log(`Context: ${client.context}`.green)
+}
+
+// Preview, validate and create a Virtual Server with its disks and Secret, after confirmation.
+// prepare is run once after confirmation, before anything is created. Nothing is created when it resolves to false
+const applyVS = async(vs, {disks = [], secret = null, prepare = null} = {}) => {
+  previewVS(vs, {disks, secret})
+  const errors = vsErrors(vs, await loadDefinitions(), await loadImages())
+  if(errors.length > 0) {
+    messages.log(`The Virtual Server spec above is invalid:\n${formatErrors(errors)}`.red)
+    if(!interactive) {
+      process.exitCode = 1
+      return false
+    }
+  }
+  const confirmVS = !interactive || (await prompt({
+    type: 'toggle',
+    name: 'confirmVS',
+    active: 'yes',
+    inactive: 'no',
+    message: errors.length > 0 ? 'Create the Virtual Server anyway?' : 'Please confirm the Virtual Server spec above.'
+  }, {onCancel})).confirmVS
+
+  // The disks and Secret created so far. A retry creates only the rest
+  const created = []
+  const applyFunc = async () => {
+    const disksSuccess = await createDisks(disks.filter(d => !created.includes(d)), created)
+      && (!secret || created.includes(secret) || await createSecret(secret, created))
+    messages.log(`Creating your Virtual Server: ${vs.metadata.namespace}/${vs.metadata.name}...`.green)
+    let failure = null
+    const createSuccess = disksSuccess && await client.virtualServer.create(vs)
+    .then(o => {
+      if(o.statusCode === 201) {
+        messages.log('Virtual Server Created!'.green)
+        messages.log(`Run 'vs-tool describe ${vs.metadata.name} -n ${vs.metadata.namespace}' to follow your new Virtual Server as it starts`)
+        return true
+      } else {
+        messages.log(`An unknown error occured. Code: ${o.statusCode}`.red)
+        return false
+      } 
+    })
+    .catch(err => {
+      failure = parseAPIError(err)
+      messages.log(`An error occured while creating the Virtual Server. ${describeAPIError(failure)}`.red)
+      return false
+    })
+    if(!createSuccess && !interactive) {
+      process.exitCode = 1
+      return false
+    }
+    // Errors that point at fields are fixed by asking for those fields again. Resending the same spec would fail the same way
+    const fix = !!failure ? await promptFix(vs, failure) : undefined
+    if(fix === null) {
+      process.exitCode = 1
+      return false
+    }
+    if(!!fix) {
+      let next = fix
+      if(fix.metadata.name !== vs.metadata.name && (disks.length > 0 || !!secret)) {
+        // New disks and the Secret are named after their Virtual Server. Those made for the old name are removed
+        ({vs: next, disks} = renameDisks(next, disks))
+        if(!!secret) {
+          ({vs: next, secret} = renameCredentials(next, secret))
+        }
+        for(const m of created.splice(0)) {
+          await deleteCreated(m)
+          .catch(err => messages.log(`Unable to delete ${m.kind} ${m.metadata.namespace}/${m.metadata.name}. ${err.message}`.yellow))
+        }
+      }
+      // Edit vs in place, so callers see the spec it was created with
+      Object.assign(vs, next)
+      return applyFunc()
+    }
+    if(!createSuccess) {
+      const tryAgain = (await prompt({
+        type: 'toggle',
+        name: 'tryAgain',
+        active: 'yes',
+        inactive: 'no',
+        message: 'Try again?'
+      }, {onCancel})).tryAgain
+      if(tryAgain) {
+        return applyFunc()
+      }
+    }
+
+    return createSuccess
+  }
+
+  if(confirmVS && (!prepare || await prepare())) {
+    return applyFunc()
+  }
+  return false
+}
+
+// Create several Virtual Servers built alike, as {vs, disks, secret}, after one confirmation
+const applyBulk = async (builds, argv = {}) => {
+  const [first] = builds
+  previewVS(first.vs, {disks: first.disks, secret: first.secret, count: builds.length})
+  messages.log(`Virtual Servers to create: ${builds.map(b => b.vs.metadata.name).join(', ')}`.green)
+  const definitions = await loadDefinitions()
+  const images = await loadImages()
+  const invalid = builds
+  .map(b => ({name: b.vs.metadata.name, errors: vsErrors(b.vs, definitions, images)}))
+  .filter(i => i.errors.length > 0)
+  invalid.forEach(i => messages.log(`Virtual Server ${i.name} is invalid:\n${formatErrors(i.errors)}`.red))
+  if(invalid.length > 0 && !interactive) {
+    process.exitCode = 1
+    return false
+  }
+  const confirmed = !interactive || (await prompt({
+    type: 'toggle',
+    name: 'confirmed',
+    active: 'yes',
+    inactive: 'no',
+    message: invalid.length > 0 ? `Create the ${builds.length} Virtual Servers anyway?` : `Please confirm the ${builds.length} Virtual Servers above.`
+  }, {onCancel})).confirmed
+  if(!confirmed) {
+    return false
+  }
+  return runBulk(builds, argv, async ({vs, disks = [], secret = null}) => {
+    const created = []
+    if(!await createDisks(disks, created)) {
+      return {status: 'failed', error: 'Unable to create its disks.', created}
+    }
+    if(!!secret && !await createSecret(secret, created)) {
+      return {status: 'failed', error: 'Unable to create its Secret.', created}
+    }
+    messages.log(`Creating Virtual Server ${vs.metadata.namespace}/${vs.metadata.name}...`.green)
+    return client.virtualServer.create(vs)
+    .then(() => ({status: 'created', created}))
+    .catch(err => ({status: 'failed', error: err.message, created}))
+  })
+}
+
+// Run create for each build, at most concurrency at a time. create resolves to {status, error, created}, where status is created,
+// updated or failed and created lists the disks it made. Afterwards, when any failed and rollbackOnFailure is set,
+// everything created is deleted again. Otherwise the Virtual Servers are waited for when wait is set. Ends with a summary table
+const runBulk = async (builds, {concurrency = 4, rollbackOnFailure = false, wait = false, for: waitFor = 'condition=VirtualMachineReady', timeout = '10m'}, create) => {
+  const results = await mapLimit(builds, concurrency, async b => ({vs: b.vs, ...(await create(b))}))
+  const failed = results.filter(r => r.status === 'failed')
+  const label = r => `${r.vs.metadata.namespace}/${r.vs.metadata.name}`
+  failed.forEach(r => messages.log(`Unable to create Virtual Server ${label(r)}. ${r.error}`.red))
+  let waited = false
+  if(failed.length > 0 && rollbackOnFailure) {
+    messages.log(`${failed.length} of ${results.length} Virtual Servers failed. Rolling back...`.yellow)
+    await mapLimit(results, concurrency, async r => {
+      const {namespace, name} = r.vs.metadata
+      if(r.status === 'created') {
+        await client.virtualServer.delete({namespace, name})
+        .then(() => r.status = 'rolled back')
+        .catch(err => r.error = `Rollback failed. ${err.message}`)
+      }
+      for(const m of (r.created || []).reverse()) {
+        await deleteCreated(m)
+        .catch(err => r.error = `Unable to delete ${m.kind} ${m.metadata.name}. ${err.message}`)
+      }
+    })
+  } else if(wait) {
+    let target = {}
+    let timeoutMs = 0
+    try {
+      target = parseWaitFor(waitFor)
+      timeoutMs = parseDuration(timeout)
+      waited = true
+    } catch(err) {
+      messages.log(err.message.red)
+    }
+    const waiting = waited ? results.filter(r => r.status !== 'failed') : []
+    let done = 0
+    if(waiting.length > 0) {
+      messages.log(`Waiting for ${waiting.length} Virtual Servers to ${target.deleted ? 'be deleted' : `have ${target.condition}=${target.status}`}...`.green)
+    }
+    await Promise.all(waiting.map(r => client.virtualServer.wait({...r.vs.metadata, ...target, timeout: timeoutMs})
+    .then(() => r.ready = 'yes')
+    .catch(err => {
+      r.ready = 'no'
+      r.error = err.message
+    })
+    .then(() => messages.log(`[${++done}/${waiting.length}] ${label(r)} ${r.ready === 'yes' ? 'done' : 'not done'}`.gray))))
+  }
+  messages.log(formatTable(results.map(r => ({
+    NAMESPACE: r.vs.metadata.namespace,
+    NAME: r.vs.metadata.name,
+    STATUS: r.status,
+    ...(waited ? {READY: r.ready || '-'} : {}),
+    ERROR: r.error || ''
+  }))))
+  const success = failed.length === 0 && results.every(r => r.ready !== 'no')
+  if(!success) {
+    process.exitCode = 1
+  }
+  return success
+}
+
+// Write the manifests of builds, each Virtual Server after its disks and Secret
+const writeBuilds = (builds, argv) => {
+  const manifests = builds.reduce((acc, {vs, disks = [], secret = null}) => [...acc, ...disks, ...(!!secret ? [secret] : []), vs], [])
+  writeManifest(manifests.length > 1 ? manifests : manifests[0], argv)
+}
+
+// The names of the Virtual Servers to create: name alone, or --count names from --name-pattern, which defaults to name-{i}.
+// Throws when --name-pattern is given without --count
+const bulkNames = (name, {count, namePattern} = {}) => {
+  if(count === undefined) {
+    if(namePattern !== undefined) {
+      throw new Error('--name-pattern needs --count.')
+    }
+    return [name]
+  }
+  return expandNamePattern(namePattern || `${name}-{i}`, count)
+}
+
+// Throw when any of names is not a valid Virtual Server name
+const checkNames = (names) => {
+  const invalid = names.filter(n => !/^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/.test(n))
+  if(invalid.length > 0) {
+    throw new Error(`Invalid Virtual Server names: ${invalid.join(', ')}. Names must be lowercase letters, numbers and dashes.`)
+  }
+  return names
+}
+
+// Create the PVCs of new blank disks. The PVCs created are added to created. A disk that already exists may belong
+// to another Virtual Server, so it fails the creation unless allowExisting is set
+const createDisks = async (disks, created = [], {allowExisting = false} = {}) => {
+  for(const disk of disks) {
+    const {namespace, name} = disk.metadata
+    messages.log(`Creating disk ${namespace}/${name}...`.green)
+    const success = await client.pvc.create(disk)
+    .then(() => created.push(disk))
+    .then(() => true)
+    .catch(err => {
+      if(err.statusCode === 409 && allowExisting) {
+        messages.log(`Disk ${namespace}/${name} already exists.`.yellow)
+        return true
+      }
+      messages.log(`An error occured while creating disk ${namespace}/${name}. ${err.message}`.red)
+      return false
+    })
+    if(!success) {
+      return false
+    }
+  }
+  return true
+}
+
+// Create the Secret holding the credentials of a Virtual Server, adding it to created. An existing Secret is never
+// replaced, as it may hold the credentials of another Virtual Server, so it fails the creation unless allowExisting is set
+const createSecret = (secret, created = [], {allowExisting = false} = {}) => {
+  const {namespace, name} = secret.metadata
+  messages.log(`Creating Secret ${namespace}/${name}...`.green)
+  return client.secret.create(secret)
+  .then(() => created.push(secret))
+  .then(() => true)
+  .catch(err => {
+    if(err.statusCode === 409 && allowExisting) {
+      messages.log(`Secret ${namespace}/${name} already exists, it is left as is.`.yellow)
+      return true
+    }
+    if(err.statusCode === 409) {
+      messages.log(`Secret ${namespace}/${name} already exists. Delete it or choose another name for the Virtual Server.`.red)
+      return false
+    }
+    messages.log(`An error occured while creating Secret ${namespace}/${name}. ${err.message}`.red)
+    return false
+  })
+}
+
+// Delete a disk or Secret created for a Virtual Server that was not created
+const deleteCreated = (manifest) => (manifest.kind === 'Secret' ? client.secret : client.pvc).delete(manifest.metadata)
+
+// Check the resources of a VirtualServer against the limits of its definition preset, suggesting the closest valid resources
+const presetErrors = (vs, definitions) => {
+  const resources = (vs.spec || {}).resources || {}
+  const {gpu = {}, cpu = {}} = resources
+  const definition = (definitions || []).filter(d => d.spec.alias === resources.definition)[0]
+  if(!definition) {
+    return []
+  }
+  const preset = findPreset(definition, {gpu: gpu.type, cpu: cpu.type})
+  if(!preset) {
+    return (!!gpu.type || !!cpu.type)
+      ? [{path: `spec.resources.${!!gpu.type ? 'gpu' : 'cpu'}.type`, message: `is not a preset of definition ${resources.definition}`}]
+      : []
+  }
+  const chosen = {gpuCount: gpu.count, cpuCount: cpu.count, memory: resources.memory}
+  const paths = {gpuCount: 'spec.resources.gpu.count', cpuCount: 'spec.resources.cpu.count', memory: 'spec.resources.memory'}
+  const errors = checkResources(preset, chosen).map(e => ({path: paths[e.field], message: e.message}))
+  if(errors.length === 0) {
+    return []
+  }
+  const closest = closestResources(preset, chosen)
+  return [...errors, {
+    path: 'spec.resources',
+    message: `the closest valid configuration is ${Object.keys(closest).map(k => `${paths[k].replace('spec.resources.', '')}=${closest[k]}`).join(', ')}`
+  }]
+}
+
+// Check that the root disk of a VirtualServer is no smaller than its source image, when the image is known
+const rootErrors = (vs, images = []) => {
+  const root = ((vs.spec || {}).storage || {}).root || {}
+  const pvc = (root.source || {}).pvc || {}
+  const image = images.filter(i => i.metadata.namespace === pvc.namespace && i.metadata.name === pvc.name)[0]
+  if(!image || !root.size || !k8sValidateQuantity(root.size)) {
+    return []
+  }
+  const sourceSize = image.spec.resources.requests.storage
+  return parseQuantity(root.size) < parseQuantity(sourceSize)
+    ? [{path: 'spec.storage.root.size', message: `must be at least ${sourceSize}, the size of image ${pvc.name}`}]
+    : []
+}
+
+// Validate a VirtualServer against the installed CRD, the limits of its definition preset, the size of its image and its cloud-init user-data
+const vsErrors = (vs, definitions, images) => [
+  ...validateManifest(vs, client.crds.virtualServer),
+  ...presetErrors(vs, definitions),
+  ...rootErrors(vs, images),
+  ...((vs.spec || {}).cloudInit != null
+    ? validateCloudInit(vs.spec.cloudInit).map(message => ({path: 'spec.cloudInit', message}))
+    : [])
+]
+
+// Suggest the closest valid resources as flags when the resource flags break the limits of their preset
+const suggestResources = (resouceResponse, answers) => {
+  const resources = {
+    gpuCount: answers.gpuCount !== undefined ? Number(answers.gpuCount) : resouceResponse.gpuCount,
+    cpuCount: answers.cpuCount !== undefined ? Number(answers.cpuCount) : resouceResponse.cpuCount,
+    memory: answers.memory !== undefined ? String(answers.memory) : resouceResponse.memory
+  }
+  const preset = findPreset(resouceResponse.definition, resouceResponse)
+  if(!preset || checkResources(preset, resources).length === 0) {
+    return null
+  }
+  const closest = closestResources(preset, resources)
+  const flags = {gpuCount: '--gpu-count', cpuCount: '--cpu-count', memory: '--memory'}
+  return `Closest valid configuration for ${preset.type}: ${Object.keys(closest).map(k => `${flags[k]} ${closest[k]}`).join(' ')}`
+}
+
+// Write a manifest to --output-file, or to stdout, in the --output format
+const writeManifest = (manifest, {output = 'yaml', outputFile} = {}) => {
+  const content = dumpManifest(manifest, output)
+  if(!!outputFile) {
+    fs.writeFileSync(outputFile, content)
+    messages.log(`Manifest written to ${outputFile}`.green)
+  } else {
+    process.stdout.write(content)
+  }
+}
+
+// Create each VirtualServer in file that does not exist yet, and update those that do.
+// With --count, each VirtualServer is applied as that many copies named from --name-pattern
+const applyFile = async ({file, ...argv}) => {
+  try {
+    bulkNames('', argv)
+  } catch(err) {
+    messages.log(err.message.red)
+    process.exitCode = 1
+    return
+  }
+  let manifests = []
+  try {
+    manifests = loadManifests(file)
+  } catch(err) {
+    messages.log(`Unable to read ${file}. ${err.message}`.red)
+    process.exitCode = 1
+    return
+  }
+  try {
+    // Exported templates are rendered first, with --param answering their parameters
+    const rendered = []
+    for(const m of manifests) {
+      if(m.kind !== 'VirtualServer' || !isTemplate(m)) {
+        rendered.push(m)
+        continue
+      }
+      const label = `Template ${(m.metadata || {}).name || '(unnamed)'}`
+      const parameterErrors = checkParameters(m)
+      if(parameterErrors.length > 0) {
+        throw new Error(`${label} has invalid parameters:\n${parameterErrors.join('\n')}`)
+      }
+      const problems = []
+      const values = await ask(parameterPrompts(m), {answers: parsePairs(argv.param), problems})
+      if(problems.length > 0) {
+        throw new Error(`${label} has missing or invalid parameters:\n\t${problems.join('\n\t')}`)
+      }
+      rendered.push(await renderTemplateVS(m, values))
+    }
+    manifests = rendered.map(m => m.kind === 'VirtualServer' ? applySets(m, argv.set) : m)
+  } catch(err) {
+    messages.log(err.message.red)
+    process.exitCode = 1
+    return
+  }
+  const copies = []
+  for(const manifest of manifests) {
+    if(!['VirtualServer', 'PersistentVolumeClaim', 'Secret'].includes(manifest.kind) || !manifest.metadata || !manifest.metadata.name) {
+      messages.log(`Skipping ${manifest.kind || 'manifest'} ${(manifest.metadata || {}).name || '(unnamed)'}: only named VirtualServers, PersistentVolumeClaims and Secrets can be applied.`.red)
+      process.exitCode = 1
+      continue
+    }
+    manifest.metadata.namespace = manifest.metadata.namespace || client.defaultNamespace
+    if(manifest.kind === 'PersistentVolumeClaim') {
+      if(!await createDisks([manifest], [], {allowExisting: true})) {
+        process.exitCode = 1
+      }
+      continue
+    }
+    if(manifest.kind === 'Secret') {
+      if(!await createSecret(manifest, [], {allowExisting: true})) {
+        process.exitCode = 1
+      }
+      continue
+    }
+    if(argv.count !== undefined) {
+      try {
+        checkNames(bulkNames(manifest.metadata.name, argv))
+        .forEach(name => copies.push({vs: {...manifest, metadata: {...manifest.metadata, name}}}))
+      } catch(err) {
+        messages.log(err.message.red)
+        process.exitCode = 1
+      }
+      continue
+    }
+    const {namespace, name} = manifest.metadata
+    const errors = vsErrors(manifest, await loadDefinitions(), await loadImages())
+    if(errors.length > 0) {
+      messages.log(`VirtualServer ${namespace}/${name} is invalid:\n${formatErrors(errors)}`.red)
+      process.exitCode = 1
+      continue
+    }
+    await client.virtualServer.get({namespace, name})
+    .then(() => client.virtualServer.update(manifest).then(() => `VirtualServer ${namespace}/${name} updated`))
+    .catch(err => {
+      if(err.statusCode !== 404) {
+        throw err
+      }
+      return client.virtualServer.create(manifest).then(() => `VirtualServer ${namespace}/${name} created`)
+    })
+    .then(message => {
+      messages.log(message.green)
+      return argv.wait && waitVS({...argv, namespace, name})
+    })
+    .catch(err => {
+      messages.log(`An error occured while applying VirtualServer ${namespace}/${name}. ${describeAPIError(err)}`.red)
+      process.exitCode = 1
+    })
+  }
+  if(copies.length === 0) {
+    return
+  }
+  const definitions = await loadDefinitions()
+  const images = await loadImages()
+  const invalid = copies.filter(({vs}) => {
+    const errors = vsErrors(vs, definitions, images)
+    if(errors.length > 0) {
+      messages.log(`VirtualServer ${vs.metadata.namespace}/${vs.metadata.name} is invalid:\n${formatErrors(errors)}`.red)
+    }
+    return errors.length > 0
+  })
+  if(invalid.length > 0) {
+    process.exitCode = 1
+    return
+  }
+  await runBulk(copies, argv, ({vs}) => {
+    const {namespace, name} = vs.metadata
+    return client.virtualServer.get({namespace, name})
+    .then(() => client.virtualServer.update(vs).then(() => ({status: 'updated'})))
+    .catch(err => {
+      if(err.statusCode !== 404) {
+        throw err
+      }
+      return client.virtualServer.create(vs).then(() => ({status: 'created'}))
+    })
+    .catch(err => ({status: 'failed', error: err.message}))
+  })
+}
+
+// Wait for a VirtualServer to reach the state given by waitFor, printing condition changes while waiting.
+// Resolves to false and sets a failing exit code on timeout or failure
+const waitVS = async ({namespace = client.defaultNamespace, name, for: waitFor = 'condition=VirtualMachineReady', timeout = '10m'}) => {
+  let target = {}
+  let timeoutMs = 0
+  try {
+    target = parseWaitFor(waitFor)
+    timeoutMs = parseDuration(timeout)
+  } catch(err) {
+    messages.log(err.message.red)
+    process.exitCode = 1
+    return false
+  }
+  const started = Date.now()
+  const seen = {}
+  const onEvent = vs => ((vs.status || {}).conditions || []).forEach(c => {
+    const state = `${c.status}${!!c.reason ? ` (${c.reason})` : ''}${!!c.message ? `: ${c.message}` : ''}`
+    if(seen[c.type] !== state) {
+      seen[c.type] = state
+      messages.log(`[${Math.round((Date.now() - started) / 1000)}s] ${c.type}=${state}`.gray)
+    }
+  })
+  messages.log(`Waiting for Virtual Server ${namespace}/${name} to ${target.deleted ? 'be deleted' : `have ${target.condition}=${target.status}`}...`.green)
+  return client.virtualServer.wait({namespace, name, ...target, timeout: timeoutMs, onEvent})
+  .then(() => {
+    messages.log(`Virtual Server ${namespace}/${name} ${target.deleted ? 'deleted' : `${target.condition}=${target.status}`}.`.green)
+    return true
+  })
+  .catch(err => {
+    messages.log(err.message.red)
+    process.exitCode = 1
+    return false
+  })
+}
+
+// Update a Virtual Server with edit applied to its spec.
+// When the Virtual Server changed since it was read, it is fetched again and edit is reapplied
+const updateVS = async (vs, edit, attempts = 3) => {
+  const {namespace, name} = vs.metadata
+  return client.virtualServer.update({...vs, spec: edit(vs.spec)})
+  .catch(async err => {
+    if(err.statusCode !== 409 || attempts <= 1) {
+      throw err
+    }
+    messages.log(`Virtual Server ${namespace}/${name} changed while editing. Reapplying changes...`.yellow)
+    const latest = await client.virtualServer.get({namespace, name}).then(o => o.body)
+    return updateVS(latest, edit, attempts - 1)
+  })
+}
+
+// Print the colored difference between two specs. Resolves to false when they are the same
+const printSpecDiff = (before, after) => {
+  const diff = diffLines(dumpManifest(before), dumpManifest(after))
+  if(diff.every(d => d.op === ' ')) {
+    return false
+  }
+  diff.forEach(d => messages.log(d.op === '+' ? `+ ${d.line}`.green : d.op === '-' ? `- ${d.line}`.red : `  ${d.line}`.gray))
+  return true
+}
+
+// Edit the resources, users and network of a Virtual Server in place, stopping and starting it when the change requires it
+const editVS = async ({namespace = client.defaultNamespace, name}) => {
+  const live = await client.virtualServer.get({namespace, name})
+  .then(o => o.body)
+  .catch(err => {
+    messages.log(`An error occured while getting Virtual Server ${namespace}/${name}. ${err.message}`.red)
+    process.exitCode = 1
+  })
+  if(!live) {
+    return
+  }
+  const definitions = await loadDefinitions()
+  const services = await client.service.list({namespace})
+  .then(o => o.body.items)
+  .catch(err => {
+    messages.log(`An error occured while listing the services of ${namespace}. ${err.message}`.red)
+    process.exitCode = 1
+  })
+  if(!services) {
+    return
+  }
+  const initials = vsAnswers(live)
+  messages.log(`Editing Virtual Server ${namespace}/${name}.`.green)
+  const resouceResponse = await ask(resourcePrompts({definitions}), {initials})
+  const users = await promptUsers({current: live.spec.users || []})
+  const networkResponse = await ask(networkPrompts({services}), {initials})
+
+  const edit = spec => ({
+    ...spec,
+    resources: buildResources(resouceResponse),
+    storage: {...spec.storage, swap: resouceResponse.swap},
+    users,
+    network: {...spec.network, ...buildNetwork(networkResponse)}
+  })
+  const edited = edit(live.spec)
+  if(!printSpecDiff(live.spec, edited)) {
+    messages.log('No changes to apply.'.yellow)
+    return
+  }
+  // Resources and swap are only picked up when the Virtual Machine starts
+  const needsRestart = dumpManifest(live.spec.resources) !== dumpManifest(edited.resources)
+    || dumpManifest((live.spec.storage || {}).swap || null) !== dumpManifest(edited.storage.swap || null)
+  const running = vsCondition(live, 'VirtualMachineReady').status === 'True'
+  const response = await prompt([
+    {
+      type: needsRestart && running ? 'toggle' : null,
+      name: 'restart',
+      active: 'yes',
+      inactive: 'no',
+      initial: true,
+      message: 'These changes apply when the Virtual Server starts. Stop and start it now?'
+    },
+    {
+      type: 'toggle',
+      name: 'confirm',
+      active: 'yes',
+      inactive: 'no',
+      message: 'Apply the changes above?'
+    }
+  ], {onCancel})
+  if(!response.confirm) {
+    return
+  }
+  if(response.restart) {
+    if(!await commandVS({namespace, name, command: 'stop'})) {
+      return
+    }
+    if(!await waitVS({namespace, name, for: 'condition=VirtualMachineReady=False', timeout: '5m'})) {
+      // The stop was issued, so start again rather than leave the Virtual Server stopped without the changes
+      await commandVS({namespace, name, command: 'start'})
+      process.exitCode = 1
+      return
+    }
+  }
+  const updated = await updateVS(live, edit)
+  .then(() => {
+    messages.log(`Virtual Server ${namespace}/${name} updated.`.green)
+    return true
+  })
+  .catch(err => {
+    messages.log(`An error occured while updating Virtual Server ${namespace}/${name}. ${err.message}`.red)
+    process.exitCode = 1
+    return false
+  })
+  if(response.restart) {
+    // Start again even when the update failed, so the Virtual Server is not left stopped
+    await commandVS({namespace, name, command: 'start'})
+  } else if(updated && needsRestart && running) {
+    messages.log(`Restart the Virtual Server with 'vs-tool restart ${name}' to apply the resource changes.`.yellow)
+  }
+}
+
+// Ports given as options, as in --add-tcp 22 80 or --add-tcp 22,80
+const portOption = v => [].concat(v).reduce((acc, p) => acc.concat(String(p).split(',')), [])
+
+// The network of a Virtual Server with the changes of the network command options applied.
+// Resolves to {network} or {problems} when the changes cannot be made
+const changeNetwork = (network, {services, addTcp = [], removeTcp = [], addUdp = [], removeUdp = [], public: isPublic, directAttach, attachIp = [], detachIp = [], createIp}) => {
+  const problems = []
+  const ports = (current, add, remove, label) => {
+    const valid = [add, remove].map(validatePorts).filter(v => v !== true)
+    problems.push(...valid.map(v => `${label} ports: ${v}`))
+    const removed = formatPorts(portOption(remove))
+    const result = formatPorts(current).filter(p => !removed.includes(p))
+    formatPorts(portOption(add)).forEach(p => !result.includes(p) && result.push(p))
+    if(result.length > 10) {
+      problems.push(`${label} ports: Maximum of 10 ports`)
+    }
+    return result
+  }
+  // Fields are only written when they are changed or already set, so unchanged servers show no difference
+  const changed = {...network}
+  if(isPublic !== undefined) {
+    changed.public = isPublic
+  }
+  if(directAttach !== undefined) {
+    changed.directAttachLoadBalancerIP = directAttach
+  }
+  const tcpPorts = ports((network.tcp || {}).ports || [], portOption(addTcp), portOption(removeTcp), 'TCP')
+  const udpPorts = ports((network.udp || {}).ports || [], portOption(addUdp), portOption(removeUdp), 'UDP')
+  // A direct attached load balancer exposes every port, so ports are only listed without it
+  if(changed.directAttachLoadBalancerIP) {
+    if(portOption(addTcp).length > 0 || portOption(addUdp).length > 0) {
+      problems.push('Ports cannot be added with direct attach, which exposes all ports')
+    }
+    tcpPorts.splice(0)
+    udpPorts.splice(0)
+  } else if(changed.public && tcpPorts.length === 0 && udpPorts.length === 0) {
+    problems.push('A public IP needs exposed ports or direct attach. Add ports with --add-tcp or --add-udp, or use --no-public')
+  }
+  if(!!network.tcp || tcpPorts.length > 0) {
+    changed.tcp = {...network.tcp, ports: tcpPorts}
+  }
+  if(!!network.udp || udpPorts.length > 0) {
+    changed.udp = {...network.udp, ports: udpPorts}
+  }
+  const attach = [].concat(attachIp, !!createIp ? [createIp] : [])
+  attachIp.filter(f => !services.some(s => s.metadata.name === f))
+  .forEach(f => problems.push(`Floating IP service ${f} not found. Create it with --create-ip ${f}`))
+  if(!!createIp && services.some(s => s.metadata.name === createIp)) {
+    problems.push(`Service ${createIp} already exists. Attach it with --attach-ip ${createIp}`)
+  }
+  const floatingIPs = (network.floatingIPs || []).filter(f => !detachIp.includes(f.serviceName))
+  attach.filter(f => !floatingIPs.some(c => c.serviceName === f)).forEach(f => floatingIPs.push({serviceName: f}))
+  if(!!network.floatingIPs || floatingIPs.length > 0) {
+    changed.floatingIPs = floatingIPs
+  }
+  return problems.length > 0 ? {problems} : {network: changed}
+}
+
+// Change the ports, public IP and floating IPs of a Virtual Server in place. Without any changes given as options the network is edited interactively.
+// A new floating IP service is created just before the Virtual Server is updated
+const networkVS = async ({namespace = client.defaultNamespace, name, createIp, yes, ...options}) => {
+  const live = await client.virtualServer.get({namespace, name})
+  .then(o => o.body)
+  .catch(err => {
+    messages.log(`An error occured while getting Virtual Server ${namespace}/${name}. ${err.message}`.red)
+    process.exitCode = 1
+  })
+  if(!live) {
+    return
+  }
+  const services = await client.service.list({namespace})
+  .then(o => o.body.items)
+  .catch(err => {
+    messages.log(`An error occured while listing the services of ${namespace}. ${err.message}`.red)
+    process.exitCode = 1
+  })
+  if(!services) {
+    return
+  }
+  const changes = ['addTcp', 'removeTcp', 'addUdp', 'removeUdp', 'public', 'directAttach', 'attachIp', 'detachIp'].filter(o => options[o] !== undefined)
+  let edit
+  if(changes.length > 0 || !!createIp) {
+    const change = spec => changeNetwork(spec.network || {}, {services, createIp, ...options})
+    const changed = change(live.spec)
+    if(!!changed.problems) {
+      messages.log(changed.problems.join('\n').red)
+      process.exitCode = 1
+      return
+    }
+    // The changes are reapplied to the latest network when the Virtual Server changed in the meantime
+    edit = spec => {
+      const latest = change(spec)
+      if(!!latest.problems) {
+        throw new Error(`The changes no longer apply. ${latest.problems.join(' ')}`)
+      }
+      return {...spec, network: latest.network}
+    }
+  } else {
+    messages.log(`Editing the network of Virtual Server ${namespace}/${name}.`.green)
+    createIp = (await prompt({
+      type: 'text',
+      name: 'createIp',
+      message: 'Name of a new floating IP service to create. Leave empty to skip.',
+      validate: v => !services.some(s => s.metadata.name === v.trim()) || `Service ${v.trim()} already exists.`,
+      format: v => v.trim()
+    }, {onCancel})).createIp
+    const initials = vsAnswers(live)
+    const choices = !!createIp ? services.concat({metadata: {name: createIp}}) : services
+    const networkResponse = await ask(networkPrompts({services: choices}), {initials: {...initials, floatingIPs: initials.floatingIPs.concat(createIp || [])}})
+    const network = buildNetwork(networkResponse)
+    // A new service that was not selected is not created
+    createIp = network.floatingIPs.some(f => f.serviceName === createIp) ? createIp : null
+    edit = spec => ({...spec, network: {...spec.network, ...network}})
+  }
+  if(!printSpecDiff(live.spec, edit(live.spec))) {
+    messages.log('No changes to apply.'.yellow)
+    return
+  }
+  if(!!createIp && !live.spec.region) {
+    messages.log(`Virtual Server ${namespace}/${name} has no region to create floating IP service ${createIp} in.`.red)
+    process.exitCode = 1
+    return
+  }
+  const confirm = yes || (await prompt({
+    type: 'toggle',
+    name: 'confirm',
+    active: 'yes',
+    inactive: 'no',
+    message: `Apply the changes above${!!createIp ? ` and create floating IP service ${createIp}` : ''}?`
+  }, {onCancel})).confirm
+  if(!confirm) {
+    return
+  }
+  if(!!createIp) {
+    const created = await client.service.create(newFloatingIPManifest({name: createIp, namespace, region: live.spec.region}))
+    .then(() => {
+      messages.log(`Floating IP service ${namespace}/${createIp} created.`.green)
+      return true
+    })
+    .catch(err => {
+      messages.log(`An error occured while creating floating IP service ${namespace}/${createIp}. ${describeAPIError(err)}`.red)
+      process.exitCode = 1
+      return false
+    })
+    if(!created) {
+      return
+    }
+  }
+  await updateVS(live, edit)
+  .then(() => messages.log(`Virtual Server ${namespace}/${name} updated.`.green))
+  .catch(async err => {
+    messages.log(`An error occured while updating Virtual Server ${namespace}/${name}. ${err.message}`.red)
+    process.exitCode = 1
+    // The floating IP service was only created for the update
+    if(!!createIp) {
+      await client.service.delete({namespace, name: createIp})
+      .then(() => messages.log(`Floating IP service ${namespace}/${createIp} deleted.`.yellow))
+      .catch(err => messages.log(`Unable to delete floating IP service ${namespace}/${createIp}. ${err.message}`.red))
+    }
+  })
+}
+
+// Validate the VirtualServers in a manifest file, or a saved template, against the schema installed in the cluster
+const validateVS = async ({file, template}) => {
+  let manifests = []
+  if(!!template) {
+    if(!templates[template]) {
+      messages.log(`Template ${template} not found.`.red)
+      process.exitCode = 1
+      return
+    }
+    const parameterErrors = checkParameters(templates[template])
+    if(parameterErrors.length > 0) {
+      messages.log(`Template ${template} has invalid parameters:\n${parameterErrors.join('\n')}`.red)
+      process.exitCode = 1
+      return
+    }
+    manifests = [renderTemplate(templates[template])]
+  } else {
+    try {
+      manifests = loadManifests(file)
+    } catch(err) {
+      messages.log(`Unable to read ${file}. ${err.message}`.red)
+      process.exitCode = 1
+      return
+    }
+  }
+  const definitions = await loadDefinitions()
+  const images = await loadImages()
+  manifests
+  .filter(m => m.kind === 'VirtualServer')
+  .forEach(m => {
+    const label = (!!template) ? `Template ${template}` : `VirtualServer ${(m.metadata || {}).name || '(unnamed)'}`
+    const errors = vsErrors(m, definitions, images)
+    if(errors.length > 0) {
+      messages.log(`${label} is invalid:\n${formatErrors(errors)}`.red)
+      process.exitCode = 1
+    } else {
+      messages.log(`${label} is valid.`.green)
+    }
+  })
+}
+
+// Print the source images grouped by family, with every version
+const listImages = async ({os: osType, family, output}) => {
+  const catalog = imageCatalog(await loadImages())
+  .filter(f => (!osType || f.os === osType) && (!family || f.family === family))
+  if(!!output) {
+    const entries = catalog.map(f => ({
+      family: f.family,
+      os: f.os,
+      versions: f.versions.map(v => ({
+        version: v.version || 'latest',
+        name: v.image.metadata.name,
+        size: v.image.spec.resources.requests.storage,
+        storageClassName: v.image.spec.storageClassName
+      }))
+    }))
+    process.stdout.write(output === 'json' ? JSON.stringify(entries, null, 2) + '\n' : yaml.safeDump(entries))
+    return
+  }
+  if(catalog.length === 0) {
+    messages.log(`No images found in ${config.imageNamespace}.`.yellow)
+    return
+  }
+  messages.log(formatTable([].concat(...catalog.map(f => f.versions.map((v, i) => ({
+    FAMILY: f.family,
+    VERSION: `${v.version || '-'}${i === 0 ? ' (latest)' : ''}`,
+    OS: f.os,
+    SIZE: v.image.spec.resources.requests.storage,
+    'STORAGE CLASS': v.image.spec.storageClassName,
+    IMAGE: v.image.metadata.name
+  }))))))
+}
+
+// Print a table of the VirtualServers in a namespace
+const listVS = async ({namespace = client.defaultNamespace, allNamespaces}) => {
+  await client.virtualServer.list({namespace, allNamespaces})
+  .then(o => {
+    const items = o.body.items
+    if(items.length === 0) {
+      messages.log(`No Virtual Servers found${allNamespaces ? '' : ` in ${namespace}`}.`.yellow)
+      return
+    }
+    messages.log(formatTable(items.map(vsSummary)))
+  })
+  .catch(err => {
+    messages.log(`An error occured while listing Virtual Servers. ${err.message}`.red)
+    process.exitCode = 1
+  })
+}
+
+// Show the VirtualServers of a namespace, or of every namespace, in a table that follows a watch until interrupted.
+// On a terminal the table is redrawn in place every second. Otherwise the table is printed once, followed by each change
+const watchListVS = async ({namespace = client.defaultNamespace, allNamespaces}) => {
+  const where = allNamespaces ? 'all namespaces' : namespace
+  const tty = !!process.stdout.isTTY
+  let status = `Connecting to ${where}...`
+  let synced = false
+  const dashboard = createDashboard({
+    allNamespaces,
+    hourly: vs => {
+      const price = priceVS({vs, options})
+      return price.complete ? burnRate(price, vsRunning(vs)) : null
+    },
+    onChange: line => !tty && messages.log(line)
+  })
+  const render = () => tty && process.stdout.write(`\x1b[H\x1b[2J${dashboard.render()}\n\n${status.gray}\n`)
+  const onSync = items => {
+    dashboard.sync(items)
+    status = `Watching ${items.length} Virtual Servers in ${where}. Synced ${new Date().toLocaleTimeString()}. Press Ctrl+C to exit.`
+    if(!tty && !synced) {
+      messages.log(dashboard.render())
+    }
+    synced = true
+    render()
+  }
+  const onEvent = e => {
+    dashboard.event(e)
+    render()
+  }
+  const onError = err => {
+    status = `Watch interrupted. ${err.message} Reconnecting...`
+    if(!tty) {
+      messages.log(status.yellow)
+    }
+    render()
+  }
+  let stop = null
+  try {
+    stop = await client.virtualServer.watchList({namespace, allNamespaces, onSync, onEvent, onError})
+  } catch(err) {
+    messages.log(`An error occured while watching Virtual Servers. ${err.message}`.red)
+    process.exitCode = 1
+    return
+  }
+  const timer = setInterval(render, 1000)
+  await new Promise(resolve => process.once('SIGINT', resolve))
+  clearInterval(timer)
+  stop()
+}
+
+// Print what the VirtualServers in a namespace, or in every namespace, cost right now.
+// Stopped servers still cost their storage and public IPs
+const costVS = async ({namespace = client.defaultNamespace, allNamespaces, output}) => {
+  let items = []
+  let pvcs = []
+  try {
+    items = await client.virtualServer.list({namespace, allNamespaces}).then(o => o.body.items)
+    // The PVCs attached as disks are priced with their server
+    pvcs = await client.pvc.list({namespace, allNamespaces}).then(o => o.body.items).catch(() => [])
+  } catch(err) {
+    messages.log(`An error occured while listing Virtual Servers. ${err.message}`.red)
+    process.exitCode = 1
+    return
+  }
+  // Rates are kept to a hundredth of a cent
+  const round = v => Math.round(v * 10000) / 10000
+  const servers = items.map(vs => {
+    const claims = (((vs.spec || {}).storage || {}).additionalDisks || []).map(d => ((d.spec || {}).persistentVolumeClaim || {}).claimName)
+    const disks = pvcs.filter(p => p.metadata.namespace === vs.metadata.namespace && claims.includes(p.metadata.name))
+    const price = priceVS({vs, options, disks})
+    const running = vsRunning(vs)
+    const hourly = burnRate(price, running)
+    return {
+      namespace: vs.metadata.namespace,
+      name: vs.metadata.name,
+      running,
+      complete: price.complete,
+      hourly: round(hourly),
+      daily: round(hourly * hoursPerDay),
+      monthly: round(hourly * hoursPerMonth)
+    }
+  })
+  const hourly = servers.reduce((acc, s) => acc + s.hourly, 0)
+  const total = {
+    servers: servers.length,
+    running: servers.filter(s => s.running).length,
+    hourly: round(hourly),
+    daily: round(hourly * hoursPerDay),
+    monthly: round(hourly * hoursPerMonth)
+  }
+  if(output === 'json') {
+    process.stdout.write(JSON.stringify({servers, total}, null, 2) + '\n')
+    return
+  }
+  if(output === 'csv') {
+    const rows = [
+      ...servers.map(s => [s.namespace, s.name, s.running ? 'Running' : 'Stopped', s.hourly, s.daily, s.monthly]),
+      ['', 'Total', `${total.running}/${total.servers} running`, total.hourly, total.daily, total.monthly]
+    ]
+    const csv = value => /[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value)
+    process.stdout.write([['namespace', 'name', 'state', 'hourly', 'daily', 'monthly'], ...rows].map(r => r.map(csv).join(',')).join('\n') + '\n')
+    return
+  }
+  if(servers.length === 0) {
+    messages.log(`No Virtual Servers found${allNamespaces ? '' : ` in ${namespace}`}.`.yellow)
+    return
+  }
+  messages.log(formatTable([
+    ...servers.map(s => ({
+      NAMESPACE: s.namespace,
+      NAME: s.name,
+      STATE: s.running ? 'Running' : 'Stopped',
+      HOURLY: `${money(s.hourly, 4)}${s.complete ? '' : '*'}`,
+      DAILY: money(s.daily),
+      MONTHLY: money(s.monthly)
+    })),
+    {NAMESPACE: '', NAME: 'Total', STATE: `${total.running}/${total.servers} running`, HOURLY: money(total.hourly, 4), DAILY: money(total.daily), MONTHLY: money(total.monthly)}
+  ]))
+  if(servers.some(s => !s.complete)) {
+    messages.log('* Some resources of this server could not be priced.'.yellow)
+  }
+}
+
+// Print a VirtualServer as a table, or as a manifest when an output format is given
+const getVS = async ({namespace = client.defaultNamespace, name, output}) => {
+  await client.virtualServer.get({namespace, name})
+  .then(o => {
+    if(!!output) {
+      process.stdout.write(dumpManifest(o.body, output))
+    } else {
+      messages.log(formatTable([vsSummary(o.body)]))
+    }
+  })
+  .catch(err => {
+    messages.log(`An error occured while getting Virtual Server ${namespace}/${name}. ${err.message}`.red)
+    process.exitCode = 1
+  })
+}
+
+// Print a report on a VirtualServer, its kubevirt VirtualMachine and VirtualMachineInstance, its root disk and their events
+const describeVS = async ({namespace = client.defaultNamespace, name, events: eventLimit = 20}) => {
+  if(!Number.isInteger(eventLimit) || eventLimit < 0) {
+    messages.log('--events must be a non-negative integer.'.red)
+    process.exitCode = 1
+    return
+  }
+  const vs = await client.virtualServer.get({namespace, name})
+  .then(o => o.body)
+  .catch(err => {
+    messages.log(`An error occured while getting Virtual Server ${namespace}/${name}. ${err.message}`.red)
+    process.exitCode = 1
+  })
+  if(!vs) {
+    return
+  }
+  // The objects behind a Virtual Server may not exist yet, or at all while it is stopped. The report shows what could be read
+  const optional = (kind, request) => request
+  .then(o => o.body)
+  .catch(err => {
+    if(err.statusCode !== 404) {
+      messages.log(`Unable to read the ${kind} of ${namespace}/${name}. ${err.message}`.yellow)
+    }
+    return null
+  })
+  const [vm, vmi, events] = await Promise.all([
+    optional('VirtualMachine', client.virtualMachine.get({namespace, name})),
+    optional('VirtualMachineInstance', client.virtualMachineInstance.get({namespace, name})),
+    optional('events', client.event.list({namespace}))
+  ])
+  // The root disk is the boot volume of the VirtualMachine, so it is unknown until the VirtualMachine exists
+  const rootDisk = !!vm ? rootVolumeClaim(vm) : undefined
+  const [dataVolume, pvc] = !rootDisk ? [null, null] : await Promise.all([
+    optional('DataVolume', client.dataVolume.get({namespace, name: rootDisk})),
+    optional('PVC', client.pvc.get({namespace, name: rootDisk}))
+  ])
+  messages.log(describeReport({vs, vm, vmi, rootDisk, dataVolume, pvc, events: !!events ? events.items : [], eventLimit}))
+}
+
+// Run a start, stop or restart command against a VirtualServer
+const commandVS = async ({namespace = client.defaultNamespace, name, command}) => {
+  const verbs = {start: 'Starting', stop: 'Stopping', restart: 'Restarting'}
+  messages.log(`${verbs[command]} Virtual Server ${namespace}/${name}...`.green)
+  return client.virtualServer[command]({namespace, name})
+  .then(() => {
+    messages.log(`Virtual Server ${namespace}/${name} ${command === 'stop' ? 'stopped' : `${command}ed`}.`.green)
+    return true
+  })
+  .catch(err => {
+    messages.log(`An error occured while running ${command} on Virtual Server ${namespace}/${name}. ${err.message}`.red)
+    process.exitCode = 1
+    return false
+  })
+}
+
+// Delete a VirtualServer, asking for confirmation unless yes is set
+const deleteVS = async ({namespace = client.defaultNamespace, name, yes}) => {
+  const confirmDelete = yes || (await prompt({
+    type: 'toggle',
+    name: 'confirmDelete',
+    active: 'yes',
+    inactive: 'no',
+    message: `Delete Virtual Server ${namespace}/${name}?`
+  }, {onCancel})).confirmDelete
+  if(!confirmDelete) {
+    return
+  }
+  await client.virtualServer.delete({namespace, name})
+  .then(() => messages.log(`Virtual Server ${namespace}/${name} deleted.`.green))
+  .catch(err => {
+    messages.log(`An error occured while deleting Virtual Server ${namespace}/${name}. ${err.message}`.red)
+    process.exitCode = 1
+  })
+}
+
+// A copy of the spec of source named name: its region, resources, network, users and shared filesystems, with a root disk copied from rootSource.
+// Additional disks can only be attached to one Virtual Server and floating IPs to one service, so they stay with source
+const cloneManifest = (source, {name, rootPVC, rootSource}) => {
+  const {storage = {}, network = {}, ...spec} = source.spec
+  const {root = {}, additionalDisks, ...sharedStorage} = storage
+  const {floatingIPs, ...clonedNetwork} = network
+  const manifest = newVirtualServerManifest({name, namespace: source.metadata.namespace, version: client.versions.virtualServer})
+  manifest.spec = {
+    ...spec,
+    storage: {
+      ...sharedStorage,
+      root: {
+        ...root,
+        size: root.size || rootPVC.spec.resources.requests.storage,
+        storageClassName: root.storageClassName || rootPVC.spec.storageClassName,
+        source: rootSource
+      }
+    },
+    network: clonedNetwork
+  }
+  return manifest
+}
+
+// Poll a VolumeSnapshot until it is ready to use. Rejects when the snapshot fails or after timeout milliseconds
+const waitSnapshot = async ({namespace, name, timeout = 0}) => {
+  const started = Date.now()
+  for(;;) {
+    const status = await client.volumeSnapshot.get({namespace, name}).then(o => o.body.status || {})
+    if(status.readyToUse) {
+      return
+    }
+    if(!!status.error && !!status.error.message) {
+      throw new Error(`VolumeSnapshot ${namespace}/${name} failed. ${status.error.message}`)
+    }
+    if(timeout > 0 && Date.now() - started > timeout) {
+      throw new Error(`Timed out waiting for VolumeSnapshot ${namespace}/${name}`)
+    }
+    await new Promise(resolve => setTimeout(resolve, 2000))
+  }
+}
+
+// The name of the PVC of the root disk of a kubevirt VirtualMachine: the volume of its boot disk, or of its first disk
+const rootVolumeClaim = (vm) => {
+  const {domain = {}, volumes = []} = ((vm.spec || {}).template || {}).spec || {}
+  const disks = (domain.devices || {}).disks || []
+  const disk = disks.filter(d => d.bootOrder === 1)[0] || disks[0]
+  const volume = !!disk ? volumes.filter(v => v.name === disk.name)[0] : undefined
+  return !volume ? undefined : (volume.dataVolume || {}).name || (volume.persistentVolumeClaim || {}).claimName
+}
+
+// The schema of the installed VirtualServer CRD at path, where '[]' steps into the items of an array.
+// Undefined when the CRD is unknown, as in a dry run, or does not declare path
+const vsSchemaAt = (path) => {
+  const schema = !!client.crds && !!client.crds.virtualServer ? crdSchema(client.crds.virtualServer, client.versions.virtualServer) : undefined
+  return path.reduce((s, key) => !s ? undefined : key === '[]' ? s.items : (s.properties || {})[key], schema)
+}
+
+// Whether the installed VirtualServer CRD declares a snapshot source for the root disk
+const snapshotRootSource = () => !!vsSchemaAt(['spec', 'storage', 'root', 'source', 'snapshot'])
+
+// Whether the installed VirtualServer CRD lets users take their credentials from a Secret. Undefined when the CRD is unknown
+const secretCredentialsAccepted = () => {
+  if(!client.crds || !client.crds.virtualServer) {
+    return undefined
+  }
+  return secretKeyRefs.every(ref => !!vsSchemaAt(['spec', 'users', '[]', ref]))
+}
+
+// Create newName from the spec and root disk of the Virtual Server source.
+// The root disk is copied from a VolumeSnapshot when the cluster supports them and snapshot is set, and cloned from the PVC otherwise.
+// A running source is stopped first for a consistent copy when stop is set, or when asked to if stop is not given
+const cloneVS = async ({namespace = client.defaultNamespace, source, newName, stop, snapshot = true, set: sets, ...argv}) => {
+  try {
+    checkNames([newName])
+  } catch(err) {
+    messages.log(err.message.red)
+    process.exitCode = 1
+    return
+  }
+  const live = await client.virtualServer.get({namespace, name: source})
+  .then(o => o.body)
+  .catch(err => {
+    messages.log(`An error occured while getting Virtual Server ${namespace}/${source}. ${err.message}`.red)
+    process.exitCode = 1
+  })
+  if(!live) {
+    return
+  }
+  // The root disk is the boot volume of the VirtualMachine backing the source
+  const rootPVC = await client.virtualMachine.get({namespace, name: source})
+  .then(o => {
+    const claimName = rootVolumeClaim(o.body)
+    if(!claimName) {
+      throw new Error(`VirtualMachine ${namespace}/${source} has no root volume.`)
+    }
+    return client.pvc.get({namespace, name: claimName})
+  })
+  .then(o => o.body)
+  .catch(err => {
+    messages.log(`An error occured while getting the root disk of Virtual Server ${namespace}/${source}. ${err.message}`.red)
+    process.exitCode = 1
+  })
+  if(!rootPVC) {
+    return
+  }
+  const snapshotSource = snapshotRootSource()
+  if(snapshot && !snapshotSource) {
+    messages.log(`The VirtualServer CRD has no snapshot source for the root disk, so it is cloned from the PVC.`.yellow)
+  }
+  const useSnapshot = snapshot && snapshotSource && await client.volumeSnapshot.available().catch(() => false)
+  const snapshotName = `${newName}-root`
+  let vs = cloneManifest(live, {
+    name: newName,
+    rootPVC,
+    rootSource: useSnapshot ? {snapshot: {namespace, name: snapshotName}} : {pvc: {namespace, name: rootPVC.metadata.name}}
+  })
+  try {
+    vs = applySets(vs, sets)
+  } catch(err) {
+    messages.log(err.message.red)
+    process.exitCode = 1
+    return
+  }
+  const skipped = (live.spec.storage || {}).additionalDisks || []
+  if(skipped.length > 0) {
+    messages.log(`Additional disks ${skipped.map(d => d.name).join(', ')} are not copied.`.yellow)
+  }
+  const running = vsRunning(live)
+  const stopFirst = running && (stop !== undefined ? stop : (await prompt({
+    type: 'toggle',
+    name: 'stopFirst',
+    active: 'yes',
+    inactive: 'no',
+    message: `Virtual Server ${source} is running. Stop it first for a consistent copy of its root disk?`
+  }, {onCancel})).stopFirst)
+  messages.log(`The root disk will be copied from ${useSnapshot ? `a VolumeSnapshot of PVC ${namespace}/${rootPVC.metadata.name}` : `PVC ${namespace}/${rootPVC.metadata.name}`}.`.green)
+  if(running && !stopFirst) {
+    messages.log(`Virtual Server ${source} stays running. Files being written while it is copied may be inconsistent.`.yellow)
+  }
+
+  // Whether the source was stopped here and is not running again yet
+  let stopped = false
+  const restartSource = async () => {
+    if(stopped) {
+      stopped = false
+      await commandVS({namespace, name: source, command: 'start'})
+    }
+  }
+
+  // Whether the snapshot was created here. It is only of use to the clone, so it is deleted again when the clone fails
+  let snapshotCreated = false
+  const deleteSnapshot = async () => {
+    if(snapshotCreated) {
+      snapshotCreated = false
+      await client.volumeSnapshot.delete({namespace, name: snapshotName})
+      .catch(err => messages.log(`Unable to delete VolumeSnapshot ${namespace}/${snapshotName}. ${err.message}`.yellow))
+    }
+  }
+
+  // Stop the source and take the snapshot once the clone is confirmed
+  const prepare = async () => {
+    if(stopFirst) {
+      if(!await commandVS({namespace, name: source, command: 'stop'})) {
+        return false
+      }
+      stopped = true
+      if(!await waitVS({...argv, namespace, name: source, for: 'condition=VirtualMachineReady=False'})) {
+        await restartSource()
+        return false
+      }
+    }
+    if(!useSnapshot) {
+      return true
+    }
+    messages.log(`Creating VolumeSnapshot ${namespace}/${snapshotName} of ${rootPVC.metadata.name}...`.green)
+    const manifest = newVolumeSnapshotManifest({name: snapshotName, namespace, pvcName: rootPVC.metadata.name, version: client.volumeSnapshotVersion()})
+    return client.volumeSnapshot.create(manifest)
+    .then(() => snapshotCreated = true)
+    .then(() => waitSnapshot({namespace, name: snapshotName, timeout: parseDuration(argv.timeout || '10m')}))
+    .then(() => {
+      messages.log(`VolumeSnapshot ${namespace}/${snapshotName} is ready.`.green)
+      // The snapshot holds the copy, so the source can run again
+      return restartSource()
+    })
+    .then(() => true)
+    .catch(err => {
+      messages.log(`An error occured while creating VolumeSnapshot ${namespace}/${snapshotName}. ${err.message}`.red)
+      process.exitCode = 1
+      return restartSource().then(deleteSnapshot).then(() => false)
+    })
+  }
+
+  if(!await applyVS(vs, {prepare})) {
+    await restartSource()
+    await deleteSnapshot()
+    return
+  }
+  if(stopped) {
+    messages.log(`Virtual Server ${source} was left stopped while its root disk is cloned. Start it again with 'vs-tool start ${source}' once ${newName} is ready.`.yellow)
+  }
+  if(argv.wait) {
+    await waitVS({...argv, namespace, name: newName})
+  }
+}
+
+const buildVS = ({
   baseResponse, 
   resouceResponse, 
-  storageResponse, 
+  storageResponse = {},
   users, 
-  networkResponse
+  networkResponse,
+  cloudInit
 }) => {
   const virtualServerManifest = newVirtualServerManifest({
     name: baseResponse.name,
-    namespace: baseResponse.namespace
+    namespace: baseResponse.namespace,
+    version: client.versions.virtualServer
   })
   virtualServerManifest.spec = {
     region: baseResponse.region,
     os: {
       type: baseResponse.os
     },
-    resources: {
-      definition: resouceResponse.definition.spec.alias,
-      gpu: {
-        type: resouceResponse.gpu,
-        count: resouceResponse.gpuCount
-      },
-      cpu: {
-        count: resouceResponse.cpuCount,
-        type: resouceResponse.cpu
-      },
-      memory: resouceResponse.memory
-    },
+    resources: buildResources(resouceResponse),
     storage: {
       root: {
-        size: (!!baseResponse.image) ? baseResponse.image.spec.resources.requests.storage : baseResponse.imageSize,
-        storageClassName: (!!baseResponse.image) ? baseResponse.image.spec.storageClassName : baseResponse.imageStorageClassName,
+        size: baseResponse.imageSize || baseResponse.image.spec.resources.requests.storage,
+        storageClassName: baseResponse.imageStorageClassName || baseResponse.image.spec.storageClassName,
         source: {
           pvc: {
             namespace: (!!baseResponse.image) ? baseResponse.image.metadata.namespace : baseResponse.imageNamespace,
@@ -430,50 +2456,227 @@ const buildVS = ({
           }
         }
       },
+      additionalDisks: [
+        ...(storageResponse.disks || []).map(p => ({
+          name: p.metadata.name,
+          spec: {persistentVolumeClaim: {claimName: p.metadata.name}}
+        })),
+        ...(storageResponse.newDisks || []).map(d => ({
+          name: d.name,
+          spec: {persistentVolumeClaim: {claimName: diskClaimName(baseResponse.name, d)}}
+        }))
+      ],
+      filesystems: (storageResponse.filesystems || []).map(p => ({
+        name: p.metadata.name,
+        mountPoint: `/mnt/${p.metadata.name}`,
+        spec: {persistentVolumeClaim: {claimName: p.metadata.name}}
+      })),
       swap: resouceResponse.swap
     },
     users,
-    network: {
-      public: networkResponse.public || false,
-      tcp: {
-        ports: networkResponse.tcpPorts
-      },
-      udp: {
-        ports: networkResponse.udpPorts
-      },
-      floatingIPs: networkResponse.floatingIPs.map(f => ({serviceName: f.metadata.name}))
-    },
+    ...(!!cloudInit ? {cloudInit} : {}),
+    network: buildNetwork(networkResponse),
     initializeRunning: true
   }
-  return virtualServerManifest
+  return virtualServerManifest
+}
+
+const buildResources = (resouceResponse) => ({
+  definition: resouceResponse.definition.spec.alias,
+  gpu: {
+    type: resouceResponse.gpu,
+    count: resouceResponse.gpuCount
+  },
+  cpu: {
+    count: resouceResponse.cpuCount,
+    type: resouceResponse.cpu
+  },
+  memory: resouceResponse.memory
+})
+
+const buildNetwork = (networkResponse) => ({
+  public: networkResponse.public || false,
+  directAttachLoadBalancerIP: networkResponse.directAttach || false,
+  tcp: {
+    ports: networkResponse.tcpPorts || []
+  },
+  udp: {
+    ports: networkResponse.udpPorts || []
+  },
+  floatingIPs: networkResponse.floatingIPs.map(f => ({serviceName: f.metadata.name}))
+})
+
+// The prompt answers that would build the resources, users and network of an existing Virtual Server
+const vsAnswers = (vs) => {
+  const {resources = {}, storage = {}, network = {}} = vs.spec
+  const gpu = resources.gpu || {}
+  const cpu = resources.cpu || {}
+  return {
+    definition: resources.definition,
+    systemType: !!gpu.type,
+    gpu: gpu.type,
+    gpuCount: gpu.count,
+    cpu: cpu.type,
+    cpuCount: cpu.count,
+    memory: resources.memory,
+    addSwap: !!storage.swap,
+    swap: storage.swap,
+    directAttach: !!network.directAttachLoadBalancerIP,
+    tcpPorts: (network.tcp || {}).ports || [],
+    udpPorts: (network.udp || {}).ports || [],
+    floatingIPs: (network.floatingIPs || []).map(f => f.serviceName),
+    public: !!network.public
+  }
+}
+
+// New blank disks are created as PVCs named after their Virtual Server
+const diskClaimName = (vsName, disk) => `${vsName}-${disk.name}`
+
+// Build the PVC manifests of the new blank disks of a Virtual Server
+const buildDisks = ({vs, newDisks = []}) => newDisks.map(d => newPVCManifest({
+  name: diskClaimName(vs.metadata.name, d),
+  namespace: vs.metadata.namespace,
+  size: d.size,
+  storageClassName: d.storageClassName || vs.spec.storage.root.storageClassName
+}))
+
+// Print the cost breakdown of the VirtualServers in file, or of a template, without creating anything.
+// PVCs in file that a VirtualServer attaches as disks are priced with it
+const priceCommand = ({file, template, params, sets, output}) => {
+  let manifests = []
+  try {
+    if(!!template) {
+      if(!templates[template]) {
+        throw new Error(`Template ${template} not found.`)
+      }
+      const values = parameterValues(templates[template], parsePairs(params), `Template ${template}`)
+      manifests = [applySets(renderTemplate(templates[template], values), sets)]
+    } else {
+      // Exported templates are rendered first, with --param answering their parameters as for apply -f.
+      // The root disk of a template following an image family is priced at the size the template gives it
+      manifests = loadManifests(file)
+      .map(m => m.kind === 'VirtualServer' && isTemplate(m)
+        ? renderTemplate(m, parameterValues(m, parsePairs(params), `Template ${(m.metadata || {}).name || '(unnamed)'}`))
+        : m)
+      .map(m => m.kind === 'VirtualServer' ? applySets(m, sets) : m)
+    }
+  } catch(err) {
+    messages.log(err.message.red)
+    process.exitCode = 1
+    return
+  }
+  const pvcs = manifests.filter(m => m.kind === 'PersistentVolumeClaim')
+  const prices = manifests
+  .filter(m => m.kind === 'VirtualServer')
+  .map(vs => {
+    const claims = (((vs.spec || {}).storage || {}).additionalDisks || []).map(d => ((d.spec || {}).persistentVolumeClaim || {}).claimName)
+    const disks = pvcs.filter(p => claims.includes(p.metadata.name))
+    return {name: (vs.metadata || {}).name || template, ...priceVS({vs, options, disks})}
+  })
+  if(prices.length === 0) {
+    messages.log(`${file} holds no VirtualServers.`.red)
+    process.exitCode = 1
+    return
+  }
+  if(!!output) {
+    process.stdout.write(output === 'json' ? JSON.stringify(prices, null, 2) + '\n' : yaml.safeDump(prices))
+    return
+  }
+  prices.forEach(price => {
+    messages.log(`${price.name}:`.green)
+    messages.log(formatTable(priceRows(price)))
+    messages.log(`Hourly ${money(price.hourly)}, daily ${money(price.daily)}, monthly ${money(price.monthly)}${price.complete ? '' : ', excluding unknown items'}\n`)
+  })
+}
+
+// Prompts for the parameters of a template, starting from their defaults
+const parameterPrompts = (template) => (template.parameters || []).map(p => ({
+  type: p.type === 'boolean' ? 'toggle' : !!p.choices ? 'autocomplete' : ['integer', 'number'].includes(p.type) ? 'number' : 'text',
+  name: p.name,
+  message: p.description || `Enter ${p.name}.`,
+  initial: p.default,
+  choices: (p.choices || []).map(c => ({title: String(c), value: c})),
+  float: p.type === 'number',
+  active: 'true',
+  inactive: 'false',
+  validate: v => validateParameter(p, coerceParameter(p, v)),
+  format: v => coerceParameter(p, v)
+}))
+
+// The parameter values of a template from name=value pairs, or their defaults, checked as their prompts check them.
+// Throws when a pair names no parameter, or when a value is missing or invalid
+const parameterValues = (template, pairs, label) => {
+  const parameterErrors = checkParameters(template)
+  if(parameterErrors.length > 0) {
+    throw new Error(`${label} has invalid parameters:\n${parameterErrors.join('\n')}`)
+  }
+  const parameters = template.parameters || []
+  const unknown = Object.keys(pairs).filter(k => !parameters.some(p => p.name === k))
+  if(unknown.length > 0) {
+    throw new Error(`${label} has no parameter ${unknown.join(', ')}.`)
+  }
+  const values = parameters.reduce((acc, p) => ({...acc, [p.name]: pairs[p.name] !== undefined ? coerceParameter(p, pairs[p.name]) : p.default}), {})
+  const problems = parameters.map(p => validateParameter(p, values[p.name])).filter(v => v !== true)
+  if(problems.length > 0) {
+    throw new Error(`${label} has missing or invalid parameters:\n\t${problems.join('\n\t')}`)
+  }
+  return values
 }
 
-const priceVS =({vs, options}) => {
-  const option = (!!vs.spec.resources.gpu.type) 
-  ? options.gpuOptions.filter(o => o.id === vs.spec.resources.gpu.type)[0]
-  : options.cpuOptions.filter(o => o.id === vs.spec.resources.cpu.type)[0]
-  if(!option) { return null }
-  const gpuRate = (!!vs.spec.resources.gpu.type) ? option.gpu.billingRate * vs.spec.resources.gpu.count : 0
-  const cpuRate = (!!vs.spec.resources.cpu.type) ? option.cpu.billingRate * vs.spec.resources.cpu.count : 0
-  const memRate = option.cpu.memory.billingRate * xbytes.relative(xbytes.parseSize(vs.spec.resources.memory + (vs.spec.resources.memory.slice(-1) === 'b' ? '' : 'b'), {bits: false}), 'GB').parsed.value
-  const storeRate = 0.000097 * xbytes.relative(xbytes.parseSize(vs.spec.storage.root.size + (vs.spec.storage.root.size.slice(-1) === 'b' ? '' : 'b'), {bits: false}), 'GB').parsed.value
-  + ((!!vs.spec.storage.swap)
-  ? 0.000097 * xbytes.relative(xbytes.parseSize(vs.spec.storage.swap + (vs.spec.storage.swap.slice(-1) === 'b' ? '' : 'b'), {bits: false}), 'GB').parsed.value
-  : 0)
+// Parse name=value pairs into an object
+const parsePairs = (pairs = []) => [].concat(pairs).reduce((acc, pair) => {
+  const i = String(pair).indexOf('=')
+  if(i <= 0) {
+    throw new Error(`Invalid parameter ${pair}. Use name=value.`)
+  }
+  return {...acc, [pair.slice(0, i)]: pair.slice(i + 1)}
+}, {})
+
+// Apply --set overrides to a manifest, in order
+const applySets = (manifest, sets = []) => [].concat(sets).reduce(applySet, manifest)
 
-  return (gpuRate + cpuRate + memRate + storeRate).toFixed(2)
+// Whether a VirtualServer manifest is a template, with parameters or an image family, which must be rendered before it is applied
+const isTemplate = (manifest) => manifest.parameters !== undefined || manifest.image !== undefined
+
+// Render a template with values. A template following an image family uses its latest image. Throws when the family has no image
+const renderTemplateVS = async (template, values) => {
+  const vs = renderTemplate(template, values)
+  if(!!template.image && !!template.image.family) {
+    const image = resolveImage(imageCatalog(await loadImages()), template.image.family)
+    if(!image) {
+      throw new Error(`No image of family ${template.image.family} found in ${config.imageNamespace}.`)
+    }
+    messages.log(`Using ${image.metadata.name}, the latest image of ${template.image.family}.`.green)
+    const {storage = {}} = vs.spec
+    const root = storage.root || {}
+    // A newer image may be larger than the root disk of the template
+    const sourceSize = image.spec.resources.requests.storage
+    const size = (!root.size || parseQuantity(root.size) < parseQuantity(sourceSize)) ? sourceSize : root.size
+    vs.spec = {...vs.spec, storage: {...storage, root: {...root, size, source: {pvc: {namespace: image.metadata.namespace, name: image.metadata.name}}}}}
+  }
+  return vs
 }
 
-const useTemplate = async ({templateName}) => {
+const useTemplate = async ({templateName, params, sets, credentialsSecret = false, ...argv}) => {
   if(!Object.keys(templates).length) {
-    console.log('No templates available.'.red)
+    messages.log('No templates available.'.red)
     return
   }
-  let vs = {}
+  if(credentialsSecret && secretCredentialsAccepted() === false) {
+    messages.log(`The installed VirtualServer CRD does not accept ${secretKeyRefs.join(' and ')} on users, so --credentials-secret cannot be used.`.red)
+    process.exitCode = 1
+    return
+  }
+  let template = {}
   if(templateName) {
-    vs = templates[templateName]
+    template = templates[templateName]
+    if(!template) {
+      messages.log(`Template ${templateName} not found.`.red)
+      process.exitCode = 1
+      return
+    }
   } else {
-    vs = (await prompts([
+    template = (await prompt([
       {
         type: () => 'autocomplete',
         name: 'template',
@@ -483,7 +2686,20 @@ const useTemplate = async ({templateName}) => {
       }
     ], {onCancel})).template
   }
-  const vsEdits = await prompts([
+  let vs = {}
+  try {
+    const parameterErrors = checkParameters(template)
+    if(parameterErrors.length > 0) {
+      throw new Error(`The template parameters are invalid:\n${parameterErrors.join('\n')}`)
+    }
+    const values = await ask(parameterPrompts(template), {answers: parsePairs(params)})
+    vs = await renderTemplateVS(template, values)
+  } catch(err) {
+    messages.log(err.message.red)
+    process.exitCode = 1
+    return
+  }
+  const vsEdits = await prompt([
     {
       type: 'text',
       name: 'name',
@@ -502,20 +2718,591 @@ const useTemplate = async ({templateName}) => {
   
   vs.metadata.name = vsEdits.name
   vs.metadata.namespace = vsEdits.namespace
-  await applyVS(vs)
+  try {
+    vs = applySets(vs, sets)
+  } catch(err) {
+    messages.log(err.message.red)
+    process.exitCode = 1
+    return
+  }
+  // Templates are saved without passwords, so they are asked for again. Users with an SSH key may go without one,
+  // and users taking their password from a Secret already have one
+  let users = []
+  for(const user of (vs.spec.users || [])) {
+    if(!!user.password || !!user.passwordSecretKeyRef) {
+      users = [...users, user]
+      continue
+    }
+    const {password} = await prompt({
+      type: 'password',
+      name: 'password',
+      message: hasCredentials(user) ? `Enter a password for ${user.username}. Leave empty to sign in with the SSH key only.` : `Enter a password for ${user.username}.`,
+      validate: v => v !== '' || hasCredentials(user) || 'A password is required.'
+    }, {onCancel})
+    users = [...users, !!password ? {...user, password} : user]
+  }
+  if(users.length > 0) {
+    vs = {...vs, spec: {...vs.spec, users}}
+  }
+  let names = []
+  try {
+    names = checkNames(bulkNames(vs.metadata.name, argv))
+  } catch(err) {
+    messages.log(err.message.red)
+    process.exitCode = 1
+    return
+  }
+  // Every Virtual Server made from the template gets its own copy of the disks created with the template source
+  const {name: sourceName, namespace: sourceNamespace = vs.metadata.namespace} = template.metadata || {}
+  let newDisks = []
+  try {
+    newDisks = await templateDisks(vs, sourceName, sourceNamespace)
+  } catch(err) {
+    messages.log(err.message.red)
+    process.exitCode = 1
+    return
+  }
+  const builds = names.map(name => copyBuild(vs, name, newDisks))
+  const deploys = credentialsSecret ? builds.map(b => ({...b, ...splitCredentials(b.vs)})) : builds
+  if(names.length > 1 || argv.count !== undefined) {
+    await applyBulk(deploys, argv)
+    return
+  }
+  const [deploy] = deploys
+  if(await applyVS(deploy.vs, {disks: deploy.disks, secret: deploy.secret}) && argv.wait) {
+    await waitVS({...argv, ...deploy.vs.metadata})
+  }
 }
 
-const deleteTemplate = ({templateName}) => {
-  if(!Object.keys(templates).length) {
-    console.log(`Template ${templateName} not found.`.red)
+// The additional disks a template was created with, those claiming the PVCs named after sourceName, as new blank disks
+// alike those PVCs in namespace. Disks attaching other, existing PVCs are kept as they are
+const templateDisks = async (vs, sourceName, namespace) => {
+  const disks = []
+  for(const d of ((vs.spec || {}).storage || {}).additionalDisks || []) {
+    const claimName = ((d.spec || {}).persistentVolumeClaim || {}).claimName
+    if(claimName !== diskClaimName(sourceName, d)) {
+      continue
+    }
+    const pvc = await client.pvc.get({namespace, name: claimName})
+    .then(o => o.body)
+    .catch(err => Promise.reject(new Error(`Unable to read disk ${namespace}/${claimName} of the template. ${err.message}`)))
+    disks.push({name: d.name, size: pvc.spec.resources.requests.storage, storageClassName: pvc.spec.storageClassName})
+  }
+  return disks
+}
+
+// A copy of a template named name, with newDisks in place of the additional disks of the same names, claimed under names of its own
+const copyBuild = (vs, name, newDisks) => {
+  const storage = vs.spec.storage || {}
+  const copy = {
+    ...vs,
+    metadata: {...vs.metadata, name},
+    spec: {
+      ...vs.spec,
+      storage: {
+        ...storage,
+        ...(!!storage.additionalDisks ? {
+          additionalDisks: storage.additionalDisks.map(d => !newDisks.some(n => n.name === d.name)
+            ? d
+            : {...d, spec: {persistentVolumeClaim: {...(d.spec || {}).persistentVolumeClaim, claimName: diskClaimName(name, d)}}})
+        } : {})
+      }
+    }
+  }
+  return {vs: copy, disks: buildDisks({vs: copy, newDisks})}
+}
+
+const deleteTemplate = async ({templateName}) => {
+  if(!templates[templateName]) {
+    messages.log(`Template ${templateName} not found.`.red)
+    process.exitCode = 1
     return
   }
   const {[templateName]:k, ...newTemplates} = templates
-  storage.setItem('_templates', newTemplates, {ttl: false})
+  await saveTemplates(newTemplates)
+  messages.log(`Template ${templateName} deleted.`.green)
+}
+
+// Print a saved template, or write it to file
+const exportTemplate = ({templateName, file}) => {
+  if(!templates[templateName]) {
+    messages.log(`Template ${templateName} not found.`.red)
+    process.exitCode = 1
+    return
+  }
+  writeManifest(templates[templateName], {outputFile: file})
 }
 
+// Save the VirtualServer manifests in file as templates, named after the manifest unless name is given
+const importTemplate = async ({file, name, force}) => {
+  let manifests = []
+  try {
+    manifests = loadManifests(file).filter(m => m.kind === 'VirtualServer')
+  } catch(err) {
+    messages.log(`Unable to read ${file}. ${err.message}`.red)
+    process.exitCode = 1
+    return
+  }
+  if(manifests.length === 0 || (!!name && manifests.length > 1)) {
+    messages.log(`${file} must hold ${!!name ? 'exactly one' : 'at least one'} VirtualServer to import.`.red)
+    process.exitCode = 1
+    return
+  }
+  let newTemplates = {...templates}
+  for(const manifest of manifests) {
+    const templateName = name || (manifest.metadata || {}).name
+    if(!templateName) {
+      messages.log('Skipping a VirtualServer without a name. Use --name to name the template.'.red)
+      process.exitCode = 1
+      continue
+    }
+    if(!!templates[templateName] && !force) {
+      messages.log(`Template ${templateName} already exists. Use --force to replace it.`.red)
+      process.exitCode = 1
+      continue
+    }
+    const parameterErrors = checkParameters(manifest)
+    if(parameterErrors.length > 0) {
+      messages.log(`Skipping template ${templateName}. Its parameters are invalid:\n${parameterErrors.join('\n')}`.red)
+      process.exitCode = 1
+      continue
+    }
+    // Only the spec, naming and parameters of a manifest belong in a template
+    const {metadata = {}, spec, parameters, image} = manifest
+    newTemplates[templateName] = {
+      apiVersion: manifest.apiVersion,
+      kind: manifest.kind,
+      metadata: {name: metadata.name || templateName, namespace: metadata.namespace},
+      spec,
+      ...(!!parameters ? {parameters} : {}),
+      ...(!!image ? {image} : {})
+    }
+    messages.log(`Template ${templateName} imported.`.green)
+  }
+  await saveTemplates(newTemplates)
+}
+
+// Print, or change, the settings of the config file. Settings are changed for context when it is given
+const configCommand = ({action, key, value, context}) => {
+  let file = {}
+  let settings = {}
+  try {
+    file = readConfig()
+    // An invalid setting can still be replaced with set
+    settings = action === 'set' ? {} : resolveConfig(file, context)
+  } catch(err) {
+    messages.log(`Unable to read config file ${configPath()}. ${err.message}`.red)
+    process.exitCode = 1
+    return
+  }
+  if(action === 'list') {
+    process.stdout.write(yaml.safeDump(settings))
+  } else if(action === 'get') {
+    if(settings[key] === undefined) {
+      messages.log(`Unknown setting ${key}. Settings are ${Object.keys(configDefaults).join(', ')}.`.red)
+      process.exitCode = 1
+      return
+    }
+    messages.log([].concat(settings[key]).join(','))
+  } else if(action === 'set') {
+    try {
+      writeConfig(setSetting(file, key, parseSetting(key, value), context))
+      messages.log(`Set ${key}${!!context ? ` for context ${context}` : ''}.`.green)
+    } catch(err) {
+      messages.log(err.message.red)
+      process.exitCode = 1
+    }
+  }
+}
+
+const setOption = yargs => yargs.option('set', {
+  requiresArg: true,
+  type: 'array',
+  desc: 'Override a manifest field, as path=value, e.g. spec.resources.memory=16Gi'
+})
+
+const waitForOption = (yargs, defaultFor) => yargs.option('for', {
+  requiresArg: true,
+  type: 'string',
+  default: defaultFor,
+  desc: 'What to wait for: condition=Type, condition=Type=Status or delete'
+})
+
+const timeoutOption = yargs => yargs.option('timeout', {
+  requiresArg: true,
+  type: 'string',
+  default: '10m',
+  desc: 'How long to wait, e.g. 90s, 10m or 1h'
+})
+
+const waitOptions = yargs => [
+  yargs.option('wait', {
+    alias: 'w',
+    type: 'boolean',
+    desc: 'Wait for the Virtual Server before exiting'
+  }),
+  waitForOption(yargs, 'condition=VirtualMachineReady'),
+  timeoutOption(yargs)
+]
+
+const bulkOptions = yargs => [
+  yargs.option('count', {
+    requiresArg: true,
+    type: 'number',
+    desc: 'Create this many Virtual Servers alike'
+  }),
+  yargs.option('name-pattern', {
+    requiresArg: true,
+    type: 'string',
+    desc: 'Names for --count, with {i} replaced by 1 to count. Defaults to <name>-{i}'
+  }),
+  yargs.option('concurrency', {
+    requiresArg: true,
+    type: 'number',
+    default: 4,
+    desc: 'Virtual Servers to create at a time with --count'
+  }),
+  yargs.option('rollback-on-failure', {
+    type: 'boolean',
+    desc: 'Delete the Virtual Servers created with --count when any of them fails'
+  })
+]
+
 const argv = yargs(hideBin(process.argv))
-  .command('new', 'Create a Virtual Server', () => {}, () => init().then(main))
+  .option('kubeconfig', {
+    requiresArg: true,
+    type: 'string',
+    global: true,
+    desc: 'Path to the kubeconfig file. Defaults to KUBECONFIG or ~/.kube/config'
+  })
+  .option('context', {
+    requiresArg: true,
+    type: 'string',
+    global: true,
+    desc: 'The kubeconfig context to use. Defaults to the current context'
+  })
+  .option('namespace', {
+    alias: 'n',
+    requiresArg: true,
+    type: 'string',
+    global: true,
+    desc: 'The namespace to use. Defaults to the namespace of the context'
+  })
+  .command({
+    command: 'new',
+    desc: 'Create a Virtual Server',
+    builder: yargs => [
+      yargs.option('answers', {
+        alias: 'a',
+        requiresArg: true,
+        type: 'string',
+        desc: 'A JSON or YAML file of answers'
+      }),
+      yargs.option('dry-run', {
+        type: 'boolean',
+        desc: 'Print the manifest instead of creating the Virtual Server'
+      }),
+      yargs.option('output', {
+        alias: 'o',
+        requiresArg: true,
+        choices: ['yaml', 'json'],
+        default: 'yaml',
+        desc: 'Manifest format for --dry-run'
+      }),
+      yargs.option('output-file', {
+        requiresArg: true,
+        type: 'string',
+        desc: 'Write the --dry-run manifest to a file instead of stdout'
+      }),
+      yargs.option('interactive', {
+        type: 'boolean',
+        default: true,
+        desc: 'Prompt for missing answers. Use --no-interactive to fail instead'
+      }),
+      ...waitOptions(yargs),
+      ...bulkOptions(yargs),
+      ...Object.keys(newOptions).map(flag => {
+        const {answer, ...option} = newOptions[flag]
+        return yargs.option(flag, option)
+      })
+    ],
+    handler: argv => {
+      if(argv.dryRun && !argv.outputFile) {
+        messagesTo(process.stderr)
+      }
+      return init(argv, {discover: !argv.dryRun}).then(() => main(argv))
+    }
+  })
+  .command({
+    command: 'apply',
+    desc: 'Create or update Virtual Servers from a manifest file',
+    builder: yargs => [
+      yargs.option('file', {
+        alias: 'f',
+        requiresArg: true,
+        demandOption: true,
+        type: 'string',
+        desc: 'A YAML or JSON manifest file, or - for stdin'
+      }),
+      yargs.option('param', {
+        alias: 'p',
+        requiresArg: true,
+        type: 'array',
+        desc: 'Answer a parameter of an exported template, as name=value'
+      }),
+      setOption(yargs),
+      ...waitOptions(yargs),
+      ...bulkOptions(yargs)
+    ],
+    handler: argv => init(argv).then(() => applyFile(argv))
+  })
+  .command({
+    command: 'validate',
+    desc: 'Validate Virtual Server manifests or templates against the cluster schema',
+    builder: yargs => [
+      yargs.option('file', {
+        alias: 'f',
+        requiresArg: true,
+        type: 'string',
+        desc: 'A YAML or JSON manifest file, or - for stdin'
+      }),
+      yargs.option('template', {
+        alias: 't',
+        requiresArg: true,
+        type: 'string',
+        desc: 'A saved template'
+      }),
+      yargs.check(argv => !!argv.file !== !!argv.template || 'Pass one of --file or --template')
+    ],
+    handler: argv => init(argv).then(() => validateVS(argv))
+  })
+  .command({
+    command: 'price',
+    desc: 'Print the cost breakdown of Virtual Server manifests or a template, without creating anything',
+    builder: yargs => [
+      yargs.option('file', {
+        alias: 'f',
+        requiresArg: true,
+        type: 'string',
+        desc: 'A YAML or JSON manifest file, or - for stdin'
+      }),
+      yargs.option('template', {
+        alias: 't',
+        requiresArg: true,
+        type: 'string',
+        desc: 'A saved template'
+      }),
+      yargs.option('param', {
+        alias: 'p',
+        requiresArg: true,
+        type: 'array',
+        desc: 'Answer a template parameter, as name=value'
+      }),
+      yargs.option('output', {
+        alias: 'o',
+        requiresArg: true,
+        choices: ['yaml', 'json'],
+        desc: 'Print the breakdown as yaml or json'
+      }),
+      setOption(yargs),
+      yargs.check(argv => !!argv.file !== !!argv.template || 'Pass one of --file or --template')
+    ],
+    // Pricing needs no cluster, only the config of the context
+    handler: async argv => {
+      if(!!argv.output) {
+        messagesTo(process.stderr)
+      }
+      const context = kubeconfigContext(argv)
+      initConfig(context)
+      await initPrices(context)
+      await initTemplates()
+      priceCommand({...argv, params: argv.param, sets: argv.set})
+    }
+  })
+  .command({
+    command: 'list',
+    aliases: ['ls'],
+    desc: 'List Virtual Servers',
+    builder: yargs => [
+      yargs.option('all-namespaces', {
+        alias: 'A',
+        type: 'boolean',
+        desc: 'List the Virtual Servers of every namespace'
+      }),
+      yargs.option('watch', {
+        alias: 'w',
+        type: 'boolean',
+        desc: 'Keep the list up to date as Virtual Servers change, until Ctrl+C'
+      })
+    ],
+    handler: argv => init(argv).then(() => argv.watch ? watchListVS(argv) : listVS(argv))
+  })
+  .command({
+    command: 'images',
+    desc: 'List the source images in the image namespace by family and version',
+    builder: yargs => [
+      yargs.option('os', {
+        requiresArg: true,
+        choices: ['linux', 'windows'],
+        desc: 'Only list images of an operating system'
+      }),
+      yargs.option('family', {
+        requiresArg: true,
+        type: 'string',
+        desc: 'Only list the versions of an image family'
+      }),
+      yargs.option('output', {
+        alias: 'o',
+        requiresArg: true,
+        choices: ['json', 'yaml'],
+        desc: 'Print the images as json or yaml'
+      })
+    ],
+    handler: argv => {
+      if(!!argv.output) {
+        messagesTo(process.stderr)
+      }
+      return init(argv).then(() => listImages(argv))
+    }
+  })
+  .command({
+    command: 'cost',
+    desc: 'Print what the Virtual Servers in a namespace cost right now',
+    builder: yargs => [
+      yargs.option('all-namespaces', {
+        alias: 'A',
+        type: 'boolean',
+        desc: 'Include the Virtual Servers of every namespace'
+      }),
+      yargs.option('output', {
+        alias: 'o',
+        requiresArg: true,
+        choices: ['json', 'csv'],
+        desc: 'Print the report as json or csv'
+      })
+    ],
+    handler: argv => {
+      if(!!argv.output) {
+        messagesTo(process.stderr)
+      }
+      return init(argv).then(() => costVS(argv))
+    }
+  })
+  .command({
+    command: 'get <name>',
+    desc: 'Show a Virtual Server',
+    builder: yargs => [
+      yargs.option('output', {
+        alias: 'o',
+        requiresArg: true,
+        choices: ['yaml', 'json'],
+        desc: 'Print the full manifest in this format'
+      })
+    ],
+    handler: argv => {
+      if(!!argv.output) {
+        messagesTo(process.stderr)
+      }
+      return init(argv).then(() => getVS(argv))
+    }
+  })
+  .command({
+    command: 'describe <name>',
+    desc: 'Show the status of a Virtual Server, its VirtualMachine, VirtualMachineInstance and root disk, and their events',
+    builder: yargs => [
+      yargs.option('events', {
+        requiresArg: true,
+        type: 'number',
+        default: 20,
+        desc: 'Number of recent events to show, or 0 for none'
+      })
+    ],
+    handler: argv => init(argv).then(() => describeVS(argv))
+  })
+  .command({
+    command: 'start <name>',
+    desc: 'Start a stopped Virtual Server',
+    builder: yargs => [...waitOptions(yargs)],
+    handler: argv => init(argv)
+    .then(() => commandVS({...argv, command: 'start'}))
+    .then(started => started && argv.wait && waitVS(argv))
+  })
+  .command({
+    command: 'stop <name>',
+    desc: 'Stop a running Virtual Server',
+    handler: argv => init(argv).then(() => commandVS({...argv, command: 'stop'}))
+  })
+  .command({
+    command: 'restart <name>',
+    desc: 'Restart a running Virtual Server',
+    handler: argv => init(argv).then(() => commandVS({...argv, command: 'restart'}))
+  })
+  .command({
+    command: 'clone <source> <newName>',
+    desc: 'Create a Virtual Server from the spec and root disk of another',
+    builder: yargs => [
+      yargs.option('stop', {
+        type: 'boolean',
+        desc: 'Stop the source first for a consistent copy. Asked when not given and the source is running'
+      }),
+      yargs.option('snapshot', {
+        type: 'boolean',
+        default: true,
+        desc: 'Copy the root disk through a VolumeSnapshot when the cluster supports them. Use --no-snapshot to clone the PVC directly'
+      }),
+      setOption(yargs),
+      ...waitOptions(yargs)
+    ],
+    handler: argv => init(argv).then(() => cloneVS(argv))
+  })
+  .command({
+    command: 'edit <name>',
+    desc: 'Edit the resources, users and network of a Virtual Server',
+    handler: argv => init(argv).then(() => editVS(argv))
+  })
+  .command({
+    command: 'network <name>',
+    desc: 'Change the ports, public IP and floating IPs of a Virtual Server',
+    builder: yargs => [
+      yargs.option('add-tcp', {type: 'array', desc: 'TCP ports to expose'}),
+      yargs.option('remove-tcp', {type: 'array', desc: 'TCP ports to stop exposing'}),
+      yargs.option('add-udp', {type: 'array', desc: 'UDP ports to expose'}),
+      yargs.option('remove-udp', {type: 'array', desc: 'UDP ports to stop exposing'}),
+      yargs.option('public', {type: 'boolean', desc: 'Give the Virtual Server a public IP. Use --no-public to remove it'}),
+      yargs.option('direct-attach', {type: 'boolean', desc: 'Attach the load balancer IP directly, exposing all ports. Use --no-direct-attach to expose only the listed ports'}),
+      yargs.option('attach-ip', {type: 'array', desc: 'Floating IP services to attach'}),
+      yargs.option('detach-ip', {type: 'array', desc: 'Floating IP services to detach'}),
+      yargs.option('create-ip', {type: 'string', desc: 'Create a LoadBalancer service with this name in the region of the Virtual Server and attach it as a floating IP'}),
+      yargs.option('yes', {
+        alias: 'y',
+        type: 'boolean',
+        desc: 'Apply the changes without asking for confirmation'
+      })
+    ],
+    handler: argv => init(argv).then(() => networkVS(argv))
+  })
+  .command({
+    command: 'wait <name>',
+    desc: 'Wait for a Virtual Server condition or deletion',
+    builder: yargs => [
+      waitForOption(yargs, 'condition=VirtualMachineReady'),
+      timeoutOption(yargs)
+    ],
+    handler: argv => init(argv).then(() => waitVS(argv))
+  })
+  .command({
+    command: 'delete <name>',
+    aliases: ['rm'],
+    desc: 'Delete a Virtual Server',
+    builder: yargs => [
+      yargs.option('yes', {
+        alias: 'y',
+        type: 'boolean',
+        desc: 'Delete without asking for confirmation'
+      })
+    ],
+    handler: argv => init(argv).then(() => deleteVS(argv))
+  })
   .command({
     command: 'template',
     type: 'boolean',
@@ -538,17 +3325,89 @@ const argv = yargs(hideBin(process.argv))
         alias: 'l',
         type: 'boolean',
         desc: 'List all templates'
-      })
+      }),
+      yargs.option('show', {
+        requiresArg: true,
+        type: 'string',
+        desc: 'Print a template'
+      }),
+      yargs.option('export', {
+        alias: 'e',
+        requiresArg: true,
+        type: 'string',
+        desc: 'Export a template to the --output file, or stdout'
+      }),
+      yargs.option('output', {
+        alias: 'o',
+        requiresArg: true,
+        type: 'string',
+        desc: 'The file to export to'
+      }),
+      yargs.option('import', {
+        alias: 'i',
+        requiresArg: true,
+        type: 'string',
+        desc: 'Import templates from a manifest file'
+      }),
+      yargs.option('name', {
+        requiresArg: true,
+        type: 'string',
+        desc: 'The name of the imported template. Defaults to the name in the manifest'
+      }),
+      yargs.option('force', {
+        type: 'boolean',
+        desc: 'Replace existing templates on import'
+      }),
+      yargs.option('param', {
+        alias: 'p',
+        requiresArg: true,
+        type: 'array',
+        desc: 'Answer a template parameter, as name=value'
+      }),
+      yargs.option('credentials-secret', {
+        type: 'boolean',
+        desc: 'Keep user credentials in a Secret instead of the Virtual Server spec'
+      }),
+      setOption(yargs),
+      ...waitOptions(yargs),
+      ...bulkOptions(yargs)
     ],
-    handler: argv => init().then(() => {
+    handler: argv => {
       if(argv.delete) {
-        deleteTemplate({templateName: argv.delete})
+        return initTemplates().then(() => deleteTemplate({templateName: argv.delete}))
       } else if(argv.list) {
-        console.log(`Saved templates:\n\t${Object.keys(templates).join('\n\t')}`.green)
-      } else {
-        useTemplate({templateName: argv.fromSave})
+        return initTemplates().then(() => messages.log(`Saved templates:\n\t${Object.keys(templates).join('\n\t')}`.green))
+      } else if(argv.show || argv.export) {
+        if(!argv.output) {
+          messagesTo(process.stderr)
+        }
+        return initTemplates().then(() => exportTemplate({templateName: argv.show || argv.export, file: argv.output}))
+      } else if(argv.import) {
+        return initTemplates().then(() => importTemplate({file: argv.import, name: argv.name, force: argv.force}))
       }
-    })
+      return init(argv).then(() => useTemplate({...argv, templateName: argv.fromSave, params: argv.param, sets: argv.set}))
+    }
+  })
+  .command({
+    command: 'config',
+    desc: `Manage tool settings in ${configPath()}. Use --context to manage the settings of a context`,
+    builder: yargs => yargs
+      .command({
+        command: 'list',
+        desc: 'Print all settings',
+        handler: argv => configCommand({...argv, action: 'list'})
+      })
+      .command({
+        command: 'get <key>',
+        desc: 'Print a setting',
+        handler: argv => configCommand({...argv, action: 'get'})
+      })
+      .command({
+        command: 'set <key> <value>',
+        desc: 'Change a setting. Lists are comma separated',
+        handler: argv => configCommand({...argv, action: 'set'})
+      })
+      .demandCommand()
   })
   .command('completion', 'Generate completion script', () => {}, () => yargs.showCompletionScript())
   .showHelpOnFail(true)